@@ -0,0 +1,266 @@
+/**
+ * Site Build
+ * Renders the pages in templates/pages with the content in content/ and copies
+ * the static assets next to them, producing dist/ for GitHub Pages
+ *
+ *   node build/build.mjs            build once
+ *   node build/build.mjs --watch    rebuild whenever templates, content or assets change
+ *
+ * templates/pages/<path>.html is rendered with content/pages/<path>.json (or
+ * .yml/.yaml) merged over { site, page }: site is content/site.*, page.url
+ * is the page's public URL (/, /contact, /contact/thank-you, /404) and
+ * page.key is the content's prefix in the locale catalogs (pages.contact.index).
+ * JSON content needs nothing installed; YAML needs the optional "yaml" package.
+ *
+ * sw.js is written last, with the list of everything in dist/ and a hash of it
+ * injected as its precache manifest, so every deploy that changes a file
+ * changes the service worker and visitors are offered the update.
+ */
+
+import { createHash } from 'node:crypto';
+import { promises as fs, watch } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import TemplateRenderer from './template.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const PAGES_DIR = path.join(TEMPLATES_DIR, 'pages');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const OUT_DIR = path.join(ROOT, 'dist');
+const SERVICE_WORKER = 'sw.js';
+const MANIFEST_PLACEHOLDER = 'self.__PRECACHE_MANIFEST';
+
+// Everything the site serves besides the rendered pages; anything not listed
+// here (sources, the build itself, repo housekeeping) stays out of dist/
+const STATIC_ENTRIES = [
+  'main.js',
+  'js',
+  'styles.css',
+  'data',
+  'images',
+  'locales',
+  'favicon.ico',
+  'favicon.svg',
+  'favicon-16x16.png',
+  'favicon-32x32.png',
+  'apple-touch-icon.png',
+  'android-chrome-192x192.png',
+  'android-chrome-512x512.png',
+  'site.webmanifest'
+];
+
+const CONTENT_EXTENSIONS = ['.json', '.yml', '.yaml'];
+const WATCH_DEBOUNCE = 100;
+
+let yamlParser = null;
+
+async function parseYaml(source, file) {
+  if (!yamlParser) {
+    try {
+      yamlParser = (await import('yaml')).parse;
+    } catch (error) {
+      throw new Error(`${path.relative(ROOT, file)}: YAML content needs the "yaml" package (npm install --save-dev yaml), or use JSON`);
+    }
+  }
+  return yamlParser(source);
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Load content/<base>.json|yml|yaml; missing content is an empty object
+ */
+async function loadContent(base) {
+  for (const extension of CONTENT_EXTENSIONS) {
+    const file = path.join(CONTENT_DIR, base + extension);
+    if (!(await exists(file))) continue;
+
+    const source = await fs.readFile(file, 'utf8');
+    try {
+      return extension === '.json' ? JSON.parse(source) : await parseYaml(source, file);
+    } catch (error) {
+      throw new Error(`${path.relative(ROOT, file)}: ${error.message}`);
+    }
+  }
+  return {};
+}
+
+async function listFiles(dir, extension) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full, extension);
+    return entry.name.endsWith(extension) ? [full] : [];
+  }));
+  return files.flat();
+}
+
+// Extra template helpers; json is built into the renderer
+export const HELPERS = {
+  // {{join site.locales "code"}} -> "en es ar"
+  join: (list, property, separator = ' ') => (list || []).map(item => (property ? item[property] : item)).join(separator),
+  // {{conditions show_if}} with { stage: ["Idea stage", "MVP completed"] } -> "stage=Idea stage|MVP completed"
+  conditions: rules => Object.entries(rules || {}).map(([field, values]) => `${field}=${[].concat(values).join('|')}`).join('; ')
+};
+
+/**
+ * Public URL of a page: index.html is its directory, other pages drop .html
+ * (GitHub Pages serves /contact/thank-you from contact/thank-you.html)
+ */
+function pageUrl(relative) {
+  const url = '/' + relative.split(path.sep).join('/').replace(/\.html$/, '');
+  return url === '/index' ? '/' : url.replace(/\/index$/, '');
+}
+
+async function loadPartials() {
+  const files = await listFiles(PARTIALS_DIR, '.html');
+  const partials = {};
+  await Promise.all(files.map(async file => {
+    partials[path.basename(file, '.html')] = await fs.readFile(file, 'utf8');
+  }));
+  return partials;
+}
+
+async function renderPages(renderer, site) {
+  const templates = await listFiles(PAGES_DIR, '.html');
+
+  return Promise.all(templates.map(async template => {
+    const relative = path.relative(PAGES_DIR, template);
+    const name = relative.replace(/\.html$/, '');
+    const content = await loadContent(path.join('pages', name));
+    const data = { site, page: { url: pageUrl(relative), key: ['pages', ...name.split(path.sep)].join('.') }, ...content };
+
+    const source = await fs.readFile(template, 'utf8');
+    const html = renderer.render(source, data, path.relative(ROOT, template));
+
+    const target = path.join(OUT_DIR, relative);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, html);
+    return relative;
+  }));
+}
+
+async function copyStatic() {
+  await Promise.all(STATIC_ENTRIES.map(async entry => {
+    const source = path.join(ROOT, entry);
+    if (!(await exists(source))) {
+      console.warn(`Skipping missing static entry: ${entry}`);
+      return;
+    }
+    await fs.cp(source, path.join(OUT_DIR, entry), { recursive: true });
+  }));
+}
+
+/**
+ * Copy sw.js into dist/ with the precache manifest filled in
+ * Dotfiles (.DS_Store and friends) are left out of the precache.
+ */
+async function writeServiceWorker(pages) {
+  const files = (await listFiles(OUT_DIR, ''))
+    .map(file => '/' + path.relative(OUT_DIR, file).split(path.sep).join('/'))
+    .filter(url => !path.posix.basename(url).startsWith('.'))
+    .sort();
+
+  const hash = createHash('sha256');
+  for (const url of files) {
+    hash.update(url).update(await fs.readFile(path.join(OUT_DIR, url)));
+  }
+
+  const manifest = {
+    version: hash.digest('hex').slice(0, 12),
+    files,
+    pages: Object.fromEntries(pages.map(relative => [pageUrl(relative), '/' + relative.split(path.sep).join('/')]))
+  };
+
+  const source = await fs.readFile(path.join(ROOT, SERVICE_WORKER), 'utf8');
+  if (!source.includes(MANIFEST_PLACEHOLDER)) {
+    throw new Error(`${SERVICE_WORKER}: missing ${MANIFEST_PLACEHOLDER}`);
+  }
+
+  await fs.writeFile(path.join(OUT_DIR, SERVICE_WORKER), source.replace(MANIFEST_PLACEHOLDER, () => JSON.stringify(manifest)));
+  return manifest;
+}
+
+export async function build() {
+  const started = Date.now();
+
+  const [partials, site] = await Promise.all([loadPartials(), loadContent('site')]);
+  const renderer = new TemplateRenderer({ partials, helpers: HELPERS });
+
+  await fs.rm(OUT_DIR, { recursive: true, force: true });
+  await fs.mkdir(OUT_DIR, { recursive: true });
+
+  const [pages] = await Promise.all([renderPages(renderer, site), copyStatic()]);
+  const { version, files } = await writeServiceWorker(pages);
+
+  console.log(`Built ${pages.length} pages into ${path.relative(ROOT, OUT_DIR)}/ in ${Date.now() - started}ms (${files.length} files precached, version ${version})`);
+}
+
+/**
+ * Rebuild on change; errors are reported and the watcher keeps running
+ */
+function watchSources() {
+  const targets = [TEMPLATES_DIR, CONTENT_DIR, path.join(ROOT, SERVICE_WORKER), ...STATIC_ENTRIES.map(entry => path.join(ROOT, entry))];
+  let timer = null;
+  let building = false;
+  let queued = false;
+
+  const rebuild = async () => {
+    if (building) {
+      queued = true;
+      return;
+    }
+
+    building = true;
+    try {
+      await build();
+    } catch (error) {
+      console.error(`Build failed: ${error.message}`);
+    }
+    building = false;
+
+    if (queued) {
+      queued = false;
+      rebuild();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE);
+  };
+
+  targets.forEach(target => {
+    try {
+      watch(target, { recursive: true }, schedule);
+    } catch (error) {
+      // Optional static entries may not exist yet
+    }
+  });
+
+  console.log('Watching templates, content and assets for changes...');
+}
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  try {
+    await build();
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    if (!process.argv.includes('--watch')) process.exit(1);
+  }
+
+  if (process.argv.includes('--watch')) {
+    watchSources();
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * Template Renderer
+ * The small Handlebars subset the site templates use:
+ *   {{path}} / {{{path}}}        escaped / raw value (this, ../parent, @index, @key, @first, @last)
+ *   {{#each path}}…{{else}}…{{/each}}   arrays and plain objects
+ *   {{#if path}} / {{#unless path}} … {{else}} … {{/if}}
+ *   {{> partial}} / {{> partial path}}  partial, optionally with a new context
+ *   {{helper arg "literal"}}      registered helpers (json is built in)
+ *   {{!-- comment --}}
+ * Block, partial and comment tags on a line of their own leave no blank line behind,
+ * and standalone partials are indented to match the tag.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+export class TemplateError extends Error {
+  constructor(message, name) {
+    super(name ? `${name}: ${message}` : message);
+    this.name = 'TemplateError';
+  }
+}
+
+/**
+ * Split a template into text and tag tokens, marking standalone tags
+ */
+function tokenize(source, name) {
+  const tokens = [];
+  const pattern = /\{\{(!--[\s\S]*?--|![^}]*|\{[^}]*\}|[^}]*)\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+
+    const inner = match[1];
+    let token;
+
+    if (inner.startsWith('!')) {
+      token = { type: 'comment' };
+    } else if (inner.startsWith('{')) {
+      token = { type: 'value', raw: true, expression: inner.slice(1, -1).trim() };
+    } else {
+      const body = inner.trim();
+      const sigil = body[0];
+
+      if (sigil === '#') {
+        const [keyword, ...args] = body.slice(1).trim().split(/\s+/);
+        token = { type: 'open', keyword, expression: args.join(' ') };
+      } else if (sigil === '/') {
+        token = { type: 'close', keyword: body.slice(1).trim() };
+      } else if (sigil === '>') {
+        const [partial, context] = body.slice(1).trim().split(/\s+/);
+        token = { type: 'partial', name: partial, expression: context || 'this' };
+      } else if (body === 'else') {
+        token = { type: 'else' };
+      } else if (body) {
+        token = { type: 'value', raw: false, expression: body };
+      } else {
+        throw new TemplateError(`Empty tag at offset ${match.index}`, name);
+      }
+    }
+
+    tokens.push(token);
+    last = pattern.lastIndex;
+  }
+
+  if (last < source.length) {
+    tokens.push({ type: 'text', value: source.slice(last) });
+  }
+
+  markStandalone(tokens);
+  return tokens;
+}
+
+/**
+ * A block/partial/comment tag alone on its line swallows that line's
+ * indentation and newline; partials keep the indentation for their content
+ */
+function markStandalone(tokens) {
+  const standaloneTypes = ['open', 'close', 'else', 'partial', 'comment'];
+  const isText = token => token && token.type === 'text';
+
+  // Decide against the original text first; stripping one tag's line must not
+  // hide the line boundaries of the tag on the next line
+  const standalone = tokens.map((token, index) => {
+    if (!standaloneTypes.includes(token.type)) return false;
+
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    const startsLine = !before || (isText(before) && (/\n[ \t]*$/.test(before.value) || (index === 1 && /^[ \t]*$/.test(before.value))));
+    const endsLine = !after || (isText(after) && (/^[ \t]*\r?\n/.test(after.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(after.value))));
+
+    return startsLine && endsLine;
+  });
+
+  tokens.forEach((token, index) => {
+    if (!standalone[index]) return;
+
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+
+    if (before) {
+      const indent = before.value.match(/[ \t]*$/)[0];
+      before.value = before.value.slice(0, before.value.length - indent.length);
+      if (token.type === 'partial') token.indent = indent;
+    }
+    if (after) {
+      after.value = after.value.replace(/^[ \t]*\r?\n?/, '');
+    }
+  });
+}
+
+/**
+ * Nest the flat token list into a tree of blocks
+ */
+function parse(tokens, name) {
+  const root = { children: [] };
+  const stack = [root];
+
+  tokens.forEach(token => {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.inverse : current.children;
+
+    switch (token.type) {
+      case 'comment':
+        break;
+      case 'open': {
+        const block = { ...token, type: 'block', children: [], inverse: [] };
+        target.push(block);
+        stack.push(block);
+        break;
+      }
+      case 'else':
+        if (stack.length === 1) throw new TemplateError('{{else}} outside a block', name);
+        current.inElse = true;
+        break;
+      case 'close':
+        if (stack.length === 1 || current.keyword !== token.keyword) {
+          throw new TemplateError(`Unexpected {{/${token.keyword}}}`, name);
+        }
+        stack.pop();
+        break;
+      default:
+        target.push(token);
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].keyword}}}`, name);
+  }
+
+  return root.children;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+export class TemplateRenderer {
+  constructor({ partials = {}, helpers = {} } = {}) {
+    this.partials = new Map();
+    // json is for inline <script> blocks, so it must never emit a literal </script>
+    this.helpers = { json: value => JSON.stringify(value, null, 4).replace(/</g, '\\u003c'), ...helpers };
+    this.cache = new Map();
+
+    Object.entries(partials).forEach(([partialName, source]) => this.registerPartial(partialName, source));
+  }
+
+  registerPartial(name, source) {
+    this.partials.set(name, this.compile(source, `partial "${name}"`));
+  }
+
+  compile(source, name = 'template') {
+    return parse(tokenize(source, name), name);
+  }
+
+  render(source, data, name = 'template') {
+    if (!this.cache.has(source)) {
+      this.cache.set(source, this.compile(source, name));
+    }
+    return this.renderNodes(this.cache.get(source), [data], {}, name);
+  }
+
+  /**
+   * Resolve a path against the scope stack; the first segment may come from any
+   * enclosing scope, like Handlebars' implicit parent lookup
+   */
+  lookup(expression, scopes, frame) {
+    if (/^"[^"]*"$|^'[^']*'$/.test(expression)) return expression.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(expression)) return Number(expression);
+    if (expression.startsWith('@')) return frame[expression.slice(1)];
+
+    let depth = scopes.length - 1;
+    let path = expression;
+    while (path.startsWith('../')) {
+      depth = Math.max(0, depth - 1);
+      path = path.slice(3);
+    }
+
+    if (path === 'this' || path === '.') return scopes[depth];
+
+    const segments = path.replace(/^this\./, '').split('.');
+    let scopeIndex = depth;
+
+    if (!path.startsWith('this.')) {
+      while (scopeIndex > 0 && (scopes[scopeIndex] == null || typeof scopes[scopeIndex] !== 'object' || !(segments[0] in scopes[scopeIndex]))) {
+        scopeIndex--;
+      }
+    }
+
+    return segments.reduce((value, segment) => (value == null ? undefined : value[segment]), scopes[scopeIndex]);
+  }
+
+  evaluate(expression, scopes, frame, name) {
+    const [head, ...args] = expression.match(/"[^"]*"|'[^']*'|\S+/g);
+
+    const isHelper = Object.prototype.hasOwnProperty.call(this.helpers, head) && !this.lookupExists(head, scopes);
+
+    if (args.length > 0 || isHelper) {
+      const helper = this.helpers[head];
+      if (!helper) throw new TemplateError(`Unknown helper "${head}"`, name);
+      return helper(...args.map(arg => this.lookup(arg, scopes, frame)));
+    }
+
+    return this.lookup(head, scopes, frame);
+  }
+
+  lookupExists(path, scopes) {
+    return scopes.some(scope => scope != null && typeof scope === 'object' && path in scope);
+  }
+
+  renderNodes(nodes, scopes, frame, name) {
+    return nodes.map(node => this.renderNode(node, scopes, frame, name)).join('');
+  }
+
+  renderNode(node, scopes, frame, name) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'value': {
+        const value = this.evaluate(node.expression, scopes, frame, name);
+        if (value == null || value === false) return '';
+        return node.raw ? String(value) : escapeHtml(value);
+      }
+
+      case 'partial': {
+        const partial = this.partials.get(node.name);
+        if (!partial) throw new TemplateError(`Unknown partial "${node.name}"`, name);
+
+        const context = this.lookup(node.expression, scopes, frame);
+        const scopeStack = node.expression === 'this' ? scopes : [...scopes, context];
+        const output = this.renderNodes(partial, scopeStack, frame, `partial "${node.name}"`);
+
+        return node.indent ? output.replace(/^(?=.)/gm, node.indent) : output;
+      }
+
+      case 'block':
+        return this.renderBlock(node, scopes, frame, name);
+
+      default:
+        return '';
+    }
+  }
+
+  renderBlock(node, scopes, frame, name) {
+    const value = this.evaluate(node.expression, scopes, frame, name);
+
+    switch (node.keyword) {
+      case 'if':
+        return this.renderNodes(isTruthy(value) ? node.children : node.inverse, scopes, frame, name);
+
+      case 'unless':
+        return this.renderNodes(isTruthy(value) ? node.inverse : node.children, scopes, frame, name);
+
+      case 'each': {
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+        if (entries.length === 0) {
+          return this.renderNodes(node.inverse, scopes, frame, name);
+        }
+
+        return entries.map(([key, item], index) => this.renderNodes(node.children, [...scopes, item], {
+          ...frame,
+          index,
+          key,
+          first: index === 0,
+          last: index === entries.length - 1
+        }, name)).join('');
+      }
+
+      case 'with':
+        return value == null
+          ? this.renderNodes(node.inverse, scopes, frame, name)
+          : this.renderNodes(node.children, [...scopes, value], frame, name);
+
+      default:
+        throw new TemplateError(`Unknown block helper "#${node.keyword}"`, name);
+    }
+  }
+}
+
+export default TemplateRenderer;
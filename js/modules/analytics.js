@@ -0,0 +1,242 @@
+/**
+ * Analytics Module
+ * Privacy-friendly interaction events, batched and handed to pluggable sinks
+ *
+ * Components don't import this module; they dispatch their usual DOM events
+ * (faq:toggle, wizard:stepchange, form:fielderror, form:submit, team:biotoggle,
+ * router:leave) and this controller translates them. Anything else can call
+ * track(), which is a no-op when analytics isn't mounted.
+ *
+ * Configured on the element carrying data-component="analytics":
+ *   data-analytics-endpoint  URL the batches are beaconed to (no endpoint, no beacon sink)
+ *   data-analytics-debug     log events to the console (always on for localhost)
+ *
+ * Events never carry field values, only names, steps and outcomes. Nothing at
+ * all is recorded when Do-Not-Track or Global Privacy Control is set.
+ */
+
+import { log } from './logger.js';
+
+export const ANALYTICS_TRACK_EVENT = 'analytics:track';
+
+/**
+ * Record an event from anywhere without depending on the controller
+ */
+export function track(name, props = {}) {
+  document.dispatchEvent(new CustomEvent(ANALYTICS_TRACK_EVENT, { detail: { name, props } }));
+}
+
+/**
+ * True when the visitor has asked not to be tracked
+ */
+export function trackingDisallowed() {
+  const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Sink that posts each batch with sendBeacon, falling back to a keepalive fetch
+ */
+export function createBeaconSink(endpoint) {
+  return {
+    name: 'beacon',
+    send(events) {
+      const body = JSON.stringify({ events });
+
+      if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+
+      if (window.fetch) {
+        fetch(endpoint, {
+          method: 'POST',
+          body,
+          keepalive: true,
+          headers: { 'Content-Type': 'application/json' }
+        }).catch(() => {
+          // Analytics must never surface errors to the visitor
+        });
+      }
+    }
+  };
+}
+
+export const consoleSink = {
+  name: 'console',
+  send(events) {
+    events.forEach(event => console.info('[analytics]', event.name, event.props));
+  }
+};
+
+class AnalyticsController {
+  constructor(root = document.body) {
+    this.root = root;
+    this.options = {
+      endpoint: root.dataset.analyticsEndpoint || '',
+      debug: root.hasAttribute('data-analytics-debug') || ['localhost', '127.0.0.1'].includes(window.location.hostname),
+      batchSize: 10,
+      flushInterval: 5000
+    };
+
+    this.enabled = !trackingDisallowed();
+    this.sinks = [];
+    this.queue = [];
+    this.flushTimer = null;
+    this.forms = new Map();
+
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) return;
+
+    if (this.options.endpoint) {
+      this.addSink(createBeaconSink(this.options.endpoint));
+    }
+    if (this.options.debug) {
+      this.addSink(consoleSink);
+    }
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlers = {
+      [ANALYTICS_TRACK_EVENT]: event => this.track(event.detail.name, event.detail.props),
+      'faq:toggle': event => {
+        if (event.detail.open) this.track('faq_open', { id: event.detail.id });
+      },
+      'team:biotoggle': event => this.track('bio_toggle', { member: event.detail.member, expanded: event.detail.expanded }),
+      'wizard:stepchange': event => {
+        this.getFormState(event.target).step = event.detail.index + 1;
+        this.track('form_step_view', {
+          form: this.getFormName(event.target),
+          step: event.detail.index + 1,
+          total: event.detail.total,
+          title: event.detail.title
+        });
+      },
+      'form:fielderror': event => this.track('form_field_error', {
+        form: this.getFormName(event.target),
+        field: event.detail.field,
+        step: this.getFormState(event.target).step
+      }),
+      'form:submit': event => {
+        const state = this.getFormState(event.target);
+        state.submitted = event.detail.outcome === 'success';
+        this.track('form_submit', {
+          form: this.getFormName(event.target),
+          outcome: event.detail.outcome,
+          errors: event.detail.errorCount || 0
+        });
+      },
+      // The router swaps pages without unloading, so forms are left behind here
+      'router:leave': () => this.trackAbandonedForms()
+    };
+
+    Object.entries(this.handlers).forEach(([type, handler]) => document.addEventListener(type, handler));
+    document.addEventListener('click', this.handleClick);
+    document.addEventListener('input', this.handleInput);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+    return this;
+  }
+
+  track(name, props = {}) {
+    if (!this.enabled || this.sinks.length === 0) return;
+
+    this.queue.push({ name, props, page: window.location.pathname, ts: Date.now() });
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.queue.length === 0) return;
+
+    const events = this.queue.splice(0);
+    this.sinks.forEach(sink => {
+      try {
+        sink.send(events);
+      } catch (error) {
+        log.warn(`Analytics sink "${sink.name || 'anonymous'}" failed`, { error });
+      }
+    });
+  }
+
+  getFormName(form) {
+    return form.dataset.analyticsForm || form.getAttribute('name') || form.id || 'form';
+  }
+
+  getFormState(form) {
+    if (!this.forms.has(form)) {
+      this.forms.set(form, { form, step: 1, touched: new Set(), submitted: false });
+    }
+    return this.forms.get(form);
+  }
+
+  handleClick(event) {
+    // CTA links only; wizard and submit buttons share the styling but are tracked as form events
+    const cta = event.target.closest('a.cta-button, [data-analytics-cta]');
+    if (!cta) return;
+
+    const section = cta.closest('section[id], header, footer');
+    this.track('cta_click', {
+      label: cta.dataset.analyticsCta || cta.textContent.trim().replace(/\s+/g, ' '),
+      href: cta.getAttribute('href'),
+      location: section ? section.id || section.tagName.toLowerCase() : null
+    });
+  }
+
+  // Only which fields were touched is kept, never what was typed
+  handleInput(event) {
+    const field = event.target;
+    if (!field.form || !field.form.matches('[data-analytics-form]') || !field.name || field.name.startsWith('_')) return;
+
+    this.getFormState(field.form).touched.add(field.name);
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.flush();
+    }
+  }
+
+  /**
+   * Forms that were started but not sent count as abandoned when the page goes away
+   */
+  trackAbandonedForms() {
+    this.forms.forEach(state => {
+      if (state.submitted || state.touched.size === 0) return;
+
+      this.track('form_abandon', {
+        form: this.getFormName(state.form),
+        step: state.step,
+        fieldsTouched: state.touched.size
+      });
+    });
+    this.forms.clear();
+  }
+
+  destroy() {
+    if (!this.enabled) return;
+
+    this.trackAbandonedForms();
+    this.flush();
+
+    Object.entries(this.handlers).forEach(([type, handler]) => document.removeEventListener(type, handler));
+    document.removeEventListener('click', this.handleClick);
+    document.removeEventListener('input', this.handleInput);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+}
+
+export default AnalyticsController;
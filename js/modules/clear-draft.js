@@ -0,0 +1,26 @@
+/**
+ * Clear Draft Module
+ * Drops the saved contact draft once the thank-you page confirms a submission
+ *
+ * Only a submission from this tab counts: the form leaves a mark in
+ * sessionStorage (FormDraftController.markSubmitted) before a native submit.
+ * Reaching the page from a bookmark, the history or a typed URL keeps the draft.
+ */
+
+class ClearDraft {
+  constructor(element) {
+    const storageKey = element.dataset.clearDraft || 'contact-draft';
+    const markKey = `${storageKey}:submitted`;
+
+    try {
+      if (sessionStorage.getItem(markKey) !== '1') return;
+
+      localStorage.removeItem(storageKey);
+      sessionStorage.removeItem(markKey);
+    } catch (e) {
+      // Storage not available, nothing to clear
+    }
+  }
+}
+
+export default ClearDraft;
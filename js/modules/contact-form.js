@@ -0,0 +1,401 @@
+/**
+ * Contact Form Module
+ * Validation, steps, drafts, conditional fields, attachments, spam checks and submission for the partnership application
+ */
+
+import { Utils } from './utils.js';
+import { ValidationRules } from './validation-rules.js';
+import FormWizard from './form-wizard.js';
+import FormDraftController from './form-draft.js';
+import FormPrefill from './form-prefill.js';
+import FormConditions from './form-conditions.js';
+import FormAttachments from './form-attachments.js';
+import { FormSubmitter, SubmissionError } from './form-submitter.js';
+import SpamGuard from './spam-guard.js';
+import { t, onLocaleChange } from './i18n.js';
+import { log } from './logger.js';
+import { navigate } from './router.js';
+import { stampReference, createReceipt, storeReceipt } from './submission-receipt.js';
+
+class ContactFormController {
+  constructor(form) {
+    this.form = form;
+    this.wizard = null;
+    this.draft = null;
+    this.prefill = null;
+    this.conditions = null;
+    this.attachments = [];
+    this.submitter = null;
+    this.spamGuard = null;
+
+    this.initContactForm();
+  }
+
+  initContactForm() {
+    const contactForm = this.form;
+
+    this.validateField = this.validateField.bind(this);
+    this.revalidateField = this.revalidateField.bind(this);
+    this.handleFormSubmit = this.handleFormSubmit.bind(this);
+    this.handleDraftDiscard = this.handleDraftDiscard.bind(this);
+    this.relabelErrors = this.relabelErrors.bind(this);
+
+    // Real-time validation: on blur, then on every input once a field has shown an error
+    this.getValidatableFields().forEach(field => {
+      field.addEventListener('blur', this.validateField);
+      field.addEventListener('input', this.revalidateField);
+    });
+
+    // Start the time-to-complete clock as soon as the form is live
+    this.spamGuard = new SpamGuard(contactForm);
+
+    // Restore any saved draft before the wizard decides which step is reachable
+    const requestedHash = window.location.hash;
+    this.draft = new FormDraftController(contactForm);
+    contactForm.addEventListener('draft:discard', this.handleDraftDiscard);
+
+    // Imported files and referral links fill in on top of the draft, so it saves them too
+    this.prefill = new FormPrefill(contactForm, this);
+
+    // Show and require fields for the answers so far, before the wizard checks any step
+    this.conditions = new FormConditions(contactForm, this);
+
+    // File pickers check and preview their files, and report rejections as field errors
+    this.attachments = Array.from(contactForm.querySelectorAll('[data-upload]'), zone => new FormAttachments(zone, this));
+
+    // Split the sections into steps
+    this.wizard = new FormWizard(contactForm, this);
+
+    // Resume on the step the draft was saved from unless the URL asks for one
+    if (this.draft.restoredDraft && !requestedHash && this.hasSteps()) {
+      this.wizard.showStep(this.wizard.clampToReachable(this.draft.restoredDraft.step || 0), { updateHash: false, focus: false });
+      history.replaceState(history.state, '', this.wizard.getHashForStep(this.wizard.currentIndex));
+    }
+
+    // Form submission; without fetch the browser falls back to the plain POST
+    if (FormSubmitter.isSupported()) {
+      this.submitter = new FormSubmitter(contactForm);
+    }
+    contactForm.addEventListener('submit', this.handleFormSubmit);
+
+    this.unsubscribeLocale = onLocaleChange(this.relabelErrors);
+  }
+
+  hasSteps() {
+    return this.wizard && this.wizard.steps.length > 1;
+  }
+
+  // Named controls that carry answers, as opposed to _subject/_next configuration and buttons
+  // File inputs are checked as files are picked, by FormAttachments
+  getValidatableFields() {
+    return Array.from(this.form.elements).filter(field =>
+      field.name && !field.name.startsWith('_') && !['hidden', 'file', 'submit', 'button'].includes(field.type)
+    );
+  }
+
+  checkField(field) {
+    // Fields hidden by another answer are disabled and never sent
+    if (field.disabled) {
+      return { valid: true, errors: [], value: field.value };
+    }
+
+    const rules = ValidationRules.rulesForElement(field, ValidationRules.contactFormSchema);
+    const values = Utils.formatFormData(new FormData(this.form));
+
+    return ValidationRules.validate(field.value, rules, values);
+  }
+
+  validateField(event) {
+    const field = event.target;
+    const result = this.checkField(field);
+
+    // Remove existing error styling
+    field.classList.remove('error');
+
+    if (!result.valid) {
+      this.showFieldError(field, result.errors[0]);
+      return false;
+    }
+
+    this.clearFieldError({ target: field });
+
+    // Apply normalization (phone, LinkedIn) once the user has left the field
+    if (event.type !== 'input' && result.value !== field.value && field.value.trim() !== '') {
+      field.value = result.value;
+    }
+
+    return true;
+  }
+
+  revalidateField(event) {
+    if (event.target.dataset.hadError === 'true') {
+      this.validateField(event);
+    }
+  }
+
+  showFieldError(field, message) {
+    field.classList.add('error');
+    field.dataset.hadError = 'true';
+
+    // Remove existing error message
+    const existingError = field.parentNode.querySelector('.error-message');
+    const isNewError = !existingError || existingError.textContent !== message;
+    if (existingError) {
+      existingError.remove();
+    }
+
+    // Announce new errors only, not the same one again on every keystroke
+    if (isNewError) {
+      this.form.dispatchEvent(new CustomEvent('form:fielderror', {
+        bubbles: true,
+        detail: { field: field.name, message }
+      }));
+    }
+
+    // Add error message
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-message';
+    errorDiv.textContent = message;
+
+    field.parentNode.appendChild(errorDiv);
+  }
+
+  clearFieldError(event) {
+    const field = event.target;
+    field.classList.remove('error');
+
+    const errorMessage = field.parentNode.querySelector('.error-message');
+    if (errorMessage) {
+      errorMessage.remove();
+    }
+  }
+
+  // Errors already on screen switch language with the page, without counting as new errors
+  relabelErrors() {
+    this.form.querySelectorAll('.error').forEach(field => {
+      const result = this.checkField(field);
+      const message = field.parentNode.querySelector('.error-message');
+      if (!result.valid && message) {
+        message.textContent = result.errors[0];
+      }
+    });
+  }
+
+  handleDraftDiscard() {
+    this.form.querySelectorAll('.error').forEach(field => this.clearFieldError({ target: field }));
+
+    if (this.hasSteps()) {
+      this.wizard.showStep(0);
+    }
+  }
+
+  // Jump back to the step holding the first invalid field and scroll to it
+  revealFirstError(fallback = null) {
+    const firstError = this.form.querySelector('.error');
+
+    if (firstError && this.hasSteps()) {
+      this.wizard.showStep(this.wizard.getStepIndexFor(firstError), { focus: false });
+    }
+
+    if (firstError || fallback) {
+      Utils.smoothScrollTo(firstError || fallback, 100);
+    }
+  }
+
+  setSubmitting(isSubmitting) {
+    const submitButton = this.form.querySelector('[type="submit"]');
+
+    if (isSubmitting) {
+      // Taken fresh each time; the label may have been translated since the last send
+      submitButton.dataset.label = submitButton.textContent;
+      submitButton.textContent = t('form.sending');
+      submitButton.disabled = true;
+    } else {
+      submitButton.textContent = submitButton.dataset.label;
+      submitButton.disabled = false;
+    }
+  }
+
+  async handleFormSubmit(event) {
+    const form = this.form;
+
+    // Validate all fields; hidden ones pass and are left out of the data
+    let isValid = true;
+
+    this.getValidatableFields().forEach(field => {
+      if (!this.validateField({ target: field })) {
+        isValid = false;
+      }
+    });
+
+    if (!isValid) {
+      // Prevent submission and scroll to first error
+      event.preventDefault();
+      this.revealFirstError();
+      this.notifySubmit('invalid', this.form.querySelectorAll('.error').length);
+      return;
+    }
+
+    // Spam checks are async (proof-of-work), so the native submit waits for them
+    event.preventDefault();
+
+    // Show loading state
+    this.setSubmitting(true);
+    this.clearSubmitStatus();
+
+    let verdict;
+    try {
+      verdict = await this.spamGuard.inspect({ resumed: Boolean(this.draft && this.draft.restoredDraft) });
+    } catch (error) {
+      log.error('Spam checks failed', { error });
+      this.setSubmitting(false);
+      this.showSubmitError(new SubmissionError(t('form.check_failed')));
+      this.notifySubmit('error');
+      return;
+    }
+
+    if (verdict.blocked) {
+      this.setSubmitting(false);
+      this.showSubmitError(new SubmissionError(t('form.blocked')));
+      this.notifySubmit('blocked');
+      return;
+    }
+
+    // A fresh reference per attempt; it is sent with the answers and shown on the receipt
+    stampReference(form);
+
+    // Collect after validation and spam checks so normalized values and _spam_score are what gets sent
+    const formData = new FormData(form);
+    const data = Utils.formatFormData(formData);
+    const receipt = createReceipt(form, data);
+
+    // Without fetch, submit the form normally - Formspree will handle the redirect to thank-you page
+    if (!this.submitter) {
+      if (this.draft) {
+        this.draft.markSubmitted();
+      }
+      storeReceipt(receipt);
+      this.notifySubmit('success');
+      form.submit();
+      return;
+    }
+
+    // Any attached files turn the submission into a multipart upload
+    const files = this.attachments.flatMap(attachments => attachments.getFiles());
+
+    try {
+      await this.submitter.submit(data, files);
+    } catch (error) {
+      this.setSubmitting(false);
+      this.showSubmitError(error);
+      this.notifySubmit('error');
+      return;
+    }
+
+    if (this.draft) {
+      this.draft.clear();
+    }
+
+    storeReceipt(receipt);
+    this.notifySubmit('success');
+
+    navigate(this.submitter.options.successUrl);
+  }
+
+  // Outcome only (invalid, blocked, error, success); listeners never see the answers
+  notifySubmit(outcome, errorCount = 0) {
+    this.form.dispatchEvent(new CustomEvent('form:submit', {
+      bubbles: true,
+      detail: { outcome, errorCount }
+    }));
+  }
+
+  getSubmitStatus() {
+    let status = this.form.querySelector('.form-status');
+
+    if (!status) {
+      status = document.createElement('div');
+      status.className = 'form-status';
+      status.setAttribute('role', 'alert');
+      this.form.querySelector('[type="submit"]').insertAdjacentElement('afterend', status);
+    }
+
+    return status;
+  }
+
+  clearSubmitStatus() {
+    const status = this.form.querySelector('.form-status');
+    if (status) {
+      status.remove();
+    }
+  }
+
+  showSubmitError(error) {
+    const status = this.getSubmitStatus();
+    status.classList.add('is-error');
+    status.textContent = '';
+
+    const message = document.createElement('p');
+    message.textContent = error.message;
+    status.appendChild(message);
+
+    // Point at the fields the endpoint rejected, if it named any
+    (error.fieldErrors || []).forEach(fieldError => {
+      const field = fieldError.field && this.form.elements.namedItem(fieldError.field);
+      if (field && field.parentNode) {
+        this.showFieldError(field, fieldError.message);
+      }
+    });
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'form-status-retry';
+    retry.textContent = t('form.try_again');
+    retry.addEventListener('click', () => this.form.requestSubmit());
+    status.appendChild(retry);
+
+    this.revealFirstError(status);
+  }
+
+  /**
+   * Snapshot for the diagnostics overlay
+   */
+  getDebugState() {
+    const fields = this.getValidatableFields();
+    const submitButton = this.form.querySelector('[type="submit"]');
+
+    return {
+      step: this.hasSteps() ? `${this.wizard.currentIndex + 1}/${this.wizard.steps.length}` : 'single page',
+      fields: fields.filter(field => !field.disabled).length,
+      errors: fields.filter(field => field.classList.contains('error')).length,
+      attachments: this.attachments.reduce((count, part) => count + part.entries.length, 0),
+      transport: this.submitter ? 'fetch' : 'native',
+      submitting: Boolean(submitButton && submitButton.disabled)
+    };
+  }
+
+  destroy() {
+    this.getValidatableFields().forEach(field => {
+      field.removeEventListener('blur', this.validateField);
+      field.removeEventListener('input', this.revalidateField);
+    });
+
+    this.form.removeEventListener('submit', this.handleFormSubmit);
+    this.form.removeEventListener('draft:discard', this.handleDraftDiscard);
+    this.unsubscribeLocale();
+
+    [this.wizard, this.conditions, ...this.attachments, this.draft, this.prefill, this.spamGuard].forEach(part => {
+      if (part) part.destroy();
+    });
+
+    this.wizard = null;
+    this.draft = null;
+    this.prefill = null;
+    this.conditions = null;
+    this.attachments = [];
+    this.submitter = null;
+    this.spamGuard = null;
+  }
+}
+
+export default ContactFormController;
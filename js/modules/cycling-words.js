@@ -0,0 +1,349 @@
+/**
+ * Cycling Words Module
+ * Rotates the hero's phrases with a typewriter, slide or fade effect
+ *
+ * The container holds the phrases as <script type="application/json"
+ * data-cycling-words> plus a static first phrase for when scripts don't run:
+ *   data-cycling-effect    "slide" (default), "fade" or "typewriter"
+ *   data-cycling-interval  ms each phrase stays on screen (default 5000)
+ *   data-cycling-i18n      catalog key of the list; phrase n is <key>.<n>
+ *
+ * The moving text is hidden from assistive tech; a polite live region carries
+ * the current phrase instead. Rotation pauses on hover, on focus, when the
+ * pause button is pressed, offscreen and in background tabs, and reduced
+ * motion shows the first phrase without moving at all.
+ */
+
+import { t, onLocaleChange } from './i18n.js';
+import { log } from './logger.js';
+
+const EFFECTS = ['slide', 'fade', 'typewriter'];
+const DEFAULT_INTERVAL = 5000;
+const TYPE_DELAY = 70;
+const ERASE_DELAY = 35;
+
+class CyclingWords {
+  constructor(container) {
+    this.container = container;
+    this.effect = EFFECTS.includes(container.dataset.cyclingEffect) ? container.dataset.cyclingEffect : 'slide';
+    this.interval = parseInt(container.dataset.cyclingInterval, 10) || DEFAULT_INTERVAL;
+    this.sourceWords = this.readWords();
+
+    this.index = 0;
+    this.timer = null;
+    this.pendingDelay = this.interval;
+    this.pausedByUser = false;
+    this.hovered = false;
+    this.focused = false;
+    this.visible = true;
+
+    this.init();
+  }
+
+  init() {
+    if (this.sourceWords.length === 0) return;
+
+    this.step = this.step.bind(this);
+    this.evaluate = this.evaluate.bind(this);
+    this.handleMotionChange = this.handleMotionChange.bind(this);
+    this.handlePointerEnter = this.handlePointerEnter.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleFocusOut = this.handleFocusOut.bind(this);
+    this.handleToggle = this.handleToggle.bind(this);
+    this.relabel = this.relabel.bind(this);
+
+    this.words = this.translateWords();
+    this.originalMarkup = this.container.innerHTML;
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    this.render();
+
+    this.container.addEventListener('pointerenter', this.handlePointerEnter);
+    this.container.addEventListener('pointerleave', this.handlePointerLeave);
+    this.container.addEventListener('focusin', this.handleFocusIn);
+    this.container.addEventListener('focusout', this.handleFocusOut);
+    this.toggle.addEventListener('click', this.handleToggle);
+    this.motionQuery.addEventListener('change', this.handleMotionChange);
+    document.addEventListener('visibilitychange', this.evaluate);
+    this.unsubscribeLocale = onLocaleChange(this.relabel);
+
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver(entries => {
+        this.visible = entries[entries.length - 1].isIntersecting;
+        this.evaluate();
+      });
+      this.observer.observe(this.container);
+    }
+
+    this.evaluate();
+  }
+
+  readWords() {
+    const source = this.container.querySelector('script[data-cycling-words]');
+    if (!source) return [];
+
+    try {
+      const words = JSON.parse(source.textContent);
+      return Array.isArray(words) ? words.map(String).filter(Boolean) : [];
+    } catch (e) {
+      log.warn('Cycling words: invalid word list', { error: e });
+      return [];
+    }
+  }
+
+  translateWords() {
+    const key = this.container.dataset.cyclingI18n;
+    return key ? this.sourceWords.map((word, index) => t(`${key}.${index}`, {}, word)) : this.sourceWords.slice();
+  }
+
+  isStatic() {
+    return this.motionQuery.matches || this.words.length < 2;
+  }
+
+  /**
+   * Build the viewport, pause button and live region
+   * Slide gets a copy of the first phrase at the end, so moving onto it and
+   * snapping back to the start looks like one continuous loop.
+   */
+  render() {
+    const effect = this.isStatic() ? 'static' : this.effect;
+
+    this.container.textContent = '';
+    this.container.classList.add('is-enhanced');
+    this.container.dataset.cyclingMode = effect;
+
+    const viewport = document.createElement('div');
+    viewport.className = 'cycling-text-viewport';
+    viewport.setAttribute('aria-hidden', 'true');
+
+    this.track = document.createElement('div');
+    this.track.className = 'cycling-text-scroll';
+    viewport.appendChild(this.track);
+
+    if (effect === 'slide') {
+      [...this.words, this.words[0]].forEach(word => this.track.appendChild(this.createWord(word)));
+    } else if (effect === 'fade') {
+      this.words.forEach(word => this.track.appendChild(this.createWord(word)));
+    } else {
+      // Typewriter and static show one phrase, rewritten in place
+      this.track.appendChild(this.createWord(effect === 'typewriter' ? '' : this.words[0]));
+    }
+
+    this.toggle = this.toggle || document.createElement('button');
+    this.toggle.type = 'button';
+    this.toggle.className = 'cycling-text-toggle';
+    this.toggle.hidden = effect === 'static';
+    this.toggle.setAttribute('aria-pressed', String(this.pausedByUser));
+    this.toggle.setAttribute('aria-label', t('cycling.pause'));
+
+    this.liveRegion = document.createElement('span');
+    this.liveRegion.className = 'sr-only';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+
+    this.typed = 0;
+    this.phase = 'typing';
+    this.pendingDelay = effect === 'typewriter' ? TYPE_DELAY : this.interval;
+
+    // Filled before it joins the page so the first phrase isn't announced on load
+    this.show(0, { animate: false });
+    this.container.append(viewport, this.toggle, this.liveRegion);
+  }
+
+  createWord(text) {
+    const word = document.createElement('div');
+    word.className = 'cycling-word';
+    word.textContent = text;
+    return word;
+  }
+
+  /**
+   * Make phrase index current, visually and for the live region
+   */
+  show(index, { animate = true } = {}) {
+    this.index = index;
+    this.liveRegion.textContent = this.words[index % this.words.length];
+
+    if (this.container.dataset.cyclingMode === 'slide') {
+      this.track.classList.toggle('is-resetting', !animate);
+      this.track.style.setProperty('--cycling-index', index);
+    } else if (this.container.dataset.cyclingMode === 'fade') {
+      Array.from(this.track.children).forEach((word, position) => {
+        word.classList.toggle('is-active', position === index);
+      });
+    }
+  }
+
+  step() {
+    this.timer = null;
+
+    if (this.container.dataset.cyclingMode === 'typewriter') {
+      this.stepTypewriter();
+    } else {
+      this.advance();
+    }
+
+    this.schedule(this.pendingDelay);
+  }
+
+  advance() {
+    let next = this.index + 1;
+
+    if (this.container.dataset.cyclingMode === 'fade') {
+      next %= this.words.length;
+    } else if (this.index === this.words.length) {
+      // Parked on the trailing copy of the first phrase: jump to the real one
+      // without a transition, then slide on from there
+      this.show(0, { animate: false });
+      void this.track.offsetHeight;
+      next = 1;
+    }
+
+    this.show(next);
+    this.pendingDelay = this.interval;
+  }
+
+  /**
+   * One keystroke: type the phrase out, hold it, erase it, move on
+   */
+  stepTypewriter() {
+    const word = this.track.firstElementChild;
+    const phrase = this.words[this.index];
+
+    if (this.phase === 'typing') {
+      this.typed += 1;
+      word.textContent = phrase.slice(0, this.typed);
+
+      if (this.typed >= phrase.length) {
+        this.phase = 'erasing';
+        this.pendingDelay = this.interval;
+      } else {
+        this.pendingDelay = TYPE_DELAY;
+      }
+      return;
+    }
+
+    this.typed -= 1;
+    word.textContent = phrase.slice(0, this.typed);
+    this.pendingDelay = ERASE_DELAY;
+
+    if (this.typed <= 0) {
+      this.phase = 'typing';
+      this.show((this.index + 1) % this.words.length);
+      this.pendingDelay = TYPE_DELAY;
+    }
+  }
+
+  schedule(delay) {
+    this.pendingDelay = delay;
+    if (this.running && !this.timer) {
+      this.timer = setTimeout(this.step, delay);
+    }
+  }
+
+  shouldRun() {
+    return this.container.dataset.cyclingMode !== 'static'
+      && !this.pausedByUser
+      && !this.hovered
+      && !this.focused
+      && this.visible
+      && document.visibilityState !== 'hidden';
+  }
+
+  evaluate() {
+    const run = this.shouldRun();
+    this.container.classList.toggle('is-paused', !run);
+
+    if (run === this.running) return;
+    this.running = run;
+
+    if (run) {
+      // Resume where we left off rather than skipping the current phrase
+      this.schedule(this.pendingDelay);
+    } else if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  handleMotionChange() {
+    this.stop();
+    this.render();
+    this.evaluate();
+  }
+
+  handlePointerEnter() {
+    this.hovered = true;
+    this.evaluate();
+  }
+
+  handlePointerLeave() {
+    this.hovered = false;
+    this.evaluate();
+  }
+
+  handleFocusIn() {
+    this.focused = true;
+    this.evaluate();
+  }
+
+  handleFocusOut(event) {
+    if (this.container.contains(event.relatedTarget)) return;
+    this.focused = false;
+    this.evaluate();
+  }
+
+  handleToggle() {
+    this.pausedByUser = !this.pausedByUser;
+    this.toggle.setAttribute('aria-pressed', String(this.pausedByUser));
+
+    // Pressing play means play now, not once the pointer and focus move away
+    if (!this.pausedByUser) {
+      this.hovered = false;
+      this.focused = false;
+    }
+    this.evaluate();
+  }
+
+  /**
+   * Swap in the new locale's phrases, starting again from the first
+   */
+  relabel() {
+    this.words = this.translateWords();
+    this.stop();
+    this.render();
+    this.evaluate();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+  }
+
+  destroy() {
+    if (this.sourceWords.length === 0) return;
+
+    this.stop();
+    this.container.removeEventListener('pointerenter', this.handlePointerEnter);
+    this.container.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.container.removeEventListener('focusin', this.handleFocusIn);
+    this.container.removeEventListener('focusout', this.handleFocusOut);
+    this.toggle.removeEventListener('click', this.handleToggle);
+    this.motionQuery.removeEventListener('change', this.handleMotionChange);
+    document.removeEventListener('visibilitychange', this.evaluate);
+    this.unsubscribeLocale();
+
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+
+    this.container.innerHTML = this.originalMarkup;
+    this.container.classList.remove('is-enhanced', 'is-paused');
+    delete this.container.dataset.cyclingMode;
+  }
+}
+
+export default CyclingWords;
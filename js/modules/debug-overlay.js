@@ -0,0 +1,274 @@
+/**
+ * Debug Overlay Module
+ * Diagnostics panel for debug mode (?debug=1, see logger.js)
+ *
+ * Shows what otherwise only reaches a console nobody has open: elements the
+ * scripts looked for but the markup no longer has, the mounted controllers
+ * with their state (any controller with a getDebugState() method), recent
+ * clicks with the component that handled them, validation failures and
+ * recent warnings and errors.
+ *
+ * main.js mounts it next to the registry rather than from markup, so every
+ * page has it without template changes. Clicks and validation failures are
+ * collected from the moment it mounts; log entries from the start of the page.
+ * The panel is English only: it is for us, not for visitors.
+ */
+
+import { Utils } from './utils.js';
+import { getLogEntries, onLog, setDebugMode } from './logger.js';
+
+const MAX_ITEMS = 20;
+const REFRESH_INTERVAL = 1000;
+const CLICK_TARGETS = 'a, button, input, select, textarea, label, summary, [role="button"]';
+
+/**
+ * Short CSS-like name for an element: button#retry.cta-button
+ */
+function describeElement(element) {
+  if (!element || !element.tagName) return 'unknown';
+
+  const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+  return `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}${classes}`;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toTimeString().slice(0, 8);
+}
+
+class DebugOverlay {
+  constructor(root = document.body, registry = null) {
+    this.root = root;
+    this.registry = registry;
+    this.clicks = [];
+    this.failures = [];
+    this.sections = {};
+    this.frameId = null;
+
+    this.init();
+  }
+
+  init() {
+    this.handleClick = this.handleClick.bind(this);
+    this.handleFieldError = this.handleFieldError.bind(this);
+    this.handlePanelClick = this.handlePanelClick.bind(this);
+    this.scheduleRender = this.scheduleRender.bind(this);
+    this.render = this.render.bind(this);
+
+    this.renderPanel();
+
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('form:fielderror', this.handleFieldError);
+    this.unsubscribeLog = onLog(this.scheduleRender);
+    // Controller state changes without telling anyone; poll it while open
+    this.refreshTimer = setInterval(() => {
+      if (this.panel.open) this.scheduleRender();
+    }, REFRESH_INTERVAL);
+
+    this.render();
+
+    this.active = true;
+  }
+
+  renderPanel() {
+    this.panel = document.createElement('details');
+    this.panel.className = 'debug-overlay';
+    this.panel.open = true;
+
+    this.title = document.createElement('summary');
+    this.title.className = 'debug-overlay-title';
+
+    const actions = document.createElement('div');
+    actions.className = 'debug-overlay-actions';
+    [['download', 'Download JSON'], ['close', 'Turn off debug mode']].forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'debug-overlay-action';
+      button.dataset.debugAction = action;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+
+    this.panel.append(this.title, actions);
+
+    [
+      ['missing', 'Missing elements'],
+      ['controllers', 'Controllers'],
+      ['clicks', 'Recent clicks'],
+      ['failures', 'Validation failures'],
+      ['log', 'Warnings and errors']
+    ].forEach(([key, heading]) => {
+      const details = document.createElement('details');
+      details.className = 'debug-overlay-section';
+      details.open = key !== 'clicks';
+
+      const summary = document.createElement('summary');
+      const list = document.createElement('ol');
+      list.className = 'debug-overlay-list';
+
+      details.append(summary, list);
+      this.panel.appendChild(details);
+      this.sections[key] = { heading, summary, list };
+    });
+
+    this.panel.addEventListener('click', this.handlePanelClick);
+    this.root.appendChild(this.panel);
+  }
+
+  handleClick(event) {
+    if (this.panel.contains(event.target)) return;
+
+    const target = event.target.closest(CLICK_TARGETS) || event.target;
+    const component = target.closest('[data-component]');
+
+    this.clicks.unshift({
+      target: describeElement(target),
+      component: component ? component.dataset.component : null,
+      ts: Date.now()
+    });
+    this.clicks.length = Math.min(this.clicks.length, MAX_ITEMS);
+    this.scheduleRender();
+  }
+
+  handleFieldError(event) {
+    this.failures.unshift({
+      field: event.detail.field,
+      message: event.detail.message || '',
+      ts: Date.now()
+    });
+    this.failures.length = Math.min(this.failures.length, MAX_ITEMS);
+    this.scheduleRender();
+  }
+
+  handlePanelClick(event) {
+    const button = event.target.closest('[data-debug-action]');
+    if (!button) return;
+
+    if (button.dataset.debugAction === 'download') {
+      Utils.downloadFile(`diagnostics-${Date.now()}.json`, 'application/json', JSON.stringify(this.getSnapshot(), null, 2));
+    } else if (button.dataset.debugAction === 'close') {
+      setDebugMode(false);
+      this.destroy();
+    }
+  }
+
+  getControllers() {
+    const instances = this.registry ? this.registry.instances : [];
+
+    return instances.map(({ name, element, instance }) => {
+      let state = null;
+      try {
+        state = typeof instance.getDebugState === 'function' ? instance.getDebugState() : null;
+      } catch (error) {
+        state = { error: error.message };
+      }
+      return { name, element: describeElement(element), state };
+    });
+  }
+
+  // Repeated misses of the same element are one line with a count
+  getMissingElements() {
+    const missing = new Map();
+
+    getLogEntries('warn')
+      .filter(entry => entry.context.kind === 'missing-element')
+      .forEach(entry => {
+        const item = missing.get(entry.message) || { message: entry.message, page: entry.page, count: 0 };
+        item.count++;
+        missing.set(entry.message, item);
+      });
+
+    return Array.from(missing.values());
+  }
+
+  getSnapshot() {
+    return {
+      page: window.location.pathname,
+      ts: Date.now(),
+      missing: this.getMissingElements(),
+      controllers: this.getControllers(),
+      clicks: this.clicks,
+      failures: this.failures,
+      log: getLogEntries()
+    };
+  }
+
+  scheduleRender() {
+    if (!this.frameId) {
+      this.frameId = requestAnimationFrame(this.render);
+    }
+  }
+
+  fill(key, lines) {
+    const { heading, summary, list } = this.sections[key];
+    summary.textContent = `${heading} (${lines.length})`;
+
+    list.replaceChildren(...lines.map(({ text, state, level }) => {
+      const item = document.createElement('li');
+      if (level) item.className = `is-${level}`;
+      item.textContent = text;
+
+      if (state) {
+        const details = document.createElement('dl');
+        Object.entries(state).forEach(([name, value]) => {
+          const term = document.createElement('dt');
+          term.textContent = name;
+          const description = document.createElement('dd');
+          description.textContent = String(value);
+          details.append(term, description);
+        });
+        item.appendChild(details);
+      }
+
+      return item;
+    }));
+  }
+
+  render() {
+    this.frameId = null;
+
+    const missing = this.getMissingElements();
+    const log = getLogEntries('warn').filter(entry => entry.context.kind !== 'missing-element').slice(-MAX_ITEMS).reverse();
+    const problems = missing.length + log.length + this.failures.length;
+
+    this.title.textContent = `Diagnostics${problems ? ` · ${problems} to look at` : ''}`;
+
+    this.fill('missing', missing.map(item => ({
+      text: `${item.message}${item.count > 1 ? ` (×${item.count})` : ''} on ${item.page}`,
+      level: 'warn'
+    })));
+    this.fill('controllers', this.getControllers().map(controller => ({
+      text: `${controller.name} on ${controller.element}`,
+      state: controller.state
+    })));
+    this.fill('clicks', this.clicks.map(click => ({
+      text: `${formatTime(click.ts)} ${click.target}${click.component ? ` in ${click.component}` : ''}`
+    })));
+    this.fill('failures', this.failures.map(failure => ({
+      text: `${formatTime(failure.ts)} ${failure.field}: ${failure.message}`,
+      level: 'warn'
+    })));
+    this.fill('log', log.map(entry => ({
+      text: `${formatTime(entry.ts)} ${entry.message}`,
+      level: entry.level
+    })));
+  }
+
+  destroy() {
+    if (!this.active) return;
+
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('form:fielderror', this.handleFieldError);
+    this.unsubscribeLog();
+    clearInterval(this.refreshTimer);
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.panel.remove();
+    this.active = false;
+  }
+}
+
+export default DebugOverlay;
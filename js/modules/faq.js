@@ -0,0 +1,280 @@
+/**
+ * FAQ Module
+ * Accordion behaviour for .faq-item blocks, following the WAI-ARIA accordion pattern
+ *
+ * Each .faq-item holds a button.faq-question and a .faq-answer. The item's id is
+ * its deep link (/#faq-why-bootstrap); items without one get an id from their
+ * question text. Items added to the section later are picked up automatically.
+ *
+ * data-faq-mode="multi" on the section lets several answers stay open and
+ * enables the [data-faq-action="expand-all|collapse-all"] buttons; the default
+ * "single" mode closes the others whenever one opens.
+ */
+
+import { Utils } from './utils.js';
+import { log } from './logger.js';
+
+export const FAQ_TOGGLE_EVENT = 'faq:toggle';
+
+const NAVIGATION_KEYS = ['ArrowDown', 'ArrowUp', 'Home', 'End'];
+
+function getHashId() {
+  try {
+    return decodeURIComponent(window.location.hash.slice(1));
+  } catch (e) {
+    return '';
+  }
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+}
+
+class FaqController {
+  constructor(root) {
+    this.root = root;
+    this.mode = root.dataset.faqMode === 'multi' ? 'multi' : 'single';
+
+    this.init();
+  }
+
+  init() {
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+
+    this.getItems().forEach(item => this.enhanceItem(item));
+    this.updateControls();
+
+    this.root.addEventListener('click', this.handleClick);
+    this.root.addEventListener('keydown', this.handleKeydown);
+    window.addEventListener('hashchange', this.handleHashChange);
+
+    // Wire up items rendered after load (CMS snippets, translations, etc.)
+    if ('MutationObserver' in window) {
+      this.observer = new MutationObserver(() => {
+        const added = this.getItems().filter(item => this.enhanceItem(item));
+        if (added.length === 0) return;
+
+        this.updateControls();
+
+        // A deep link may point at an item that only just arrived
+        const target = this.findItem(getHashId());
+        if (target && added.includes(target)) {
+          this.handleHashChange();
+        }
+      });
+      this.observer.observe(this.root, { childList: true, subtree: true });
+    }
+
+    this.handleHashChange();
+  }
+
+  getItems() {
+    return Array.from(this.root.querySelectorAll('.faq-item'));
+  }
+
+  getParts(item) {
+    return {
+      button: item.querySelector('.faq-question'),
+      answer: item.querySelector('.faq-answer'),
+      icon: item.querySelector('.faq-icon')
+    };
+  }
+
+  /**
+   * Give an item the ids and ARIA wiring the accordion pattern needs
+   * Returns true the first time an item is wired up.
+   */
+  enhanceItem(item) {
+    if (item.dataset.faqReady === 'true') return false;
+
+    const { button, answer, icon } = this.getParts(item);
+    if (!button || !answer) return false;
+
+    if (!item.id) {
+      item.id = `faq-${slugify(button.textContent)}`;
+    }
+
+    button.id = button.id || `${item.id}-question`;
+    answer.id = answer.id || `${item.id}-answer`;
+
+    button.setAttribute('aria-controls', answer.id);
+    answer.setAttribute('role', 'region');
+    answer.setAttribute('aria-labelledby', button.id);
+    if (icon) {
+      icon.setAttribute('aria-hidden', 'true');
+    }
+
+    this.setOpen(item, answer.classList.contains('open'), { notify: false });
+    item.dataset.faqReady = 'true';
+    return true;
+  }
+
+  /**
+   * Expand-all is only meaningful when several answers can be open at once
+   */
+  updateControls() {
+    this.root.querySelectorAll('[data-faq-action]').forEach(control => {
+      control.hidden = this.mode !== 'multi' || this.getItems().length < 2;
+    });
+  }
+
+  findItem(id) {
+    if (!id) return null;
+
+    const target = document.getElementById(id);
+    const item = target && target.closest('.faq-item');
+    return item && this.root.contains(item) ? item : null;
+  }
+
+  isOpen(item) {
+    const { answer } = this.getParts(item);
+    return Boolean(answer && answer.classList.contains('open'));
+  }
+
+  setOpen(item, open, { notify = true } = {}) {
+    const { button, answer, icon } = this.getParts(item);
+    if (!button || !answer) return;
+
+    const changed = this.isOpen(item) !== open;
+
+    answer.classList.toggle('open', open);
+    button.setAttribute('aria-expanded', String(open));
+    if (icon) {
+      icon.classList.toggle('open', open);
+      icon.textContent = open ? '−' : '+';
+    }
+
+    if (notify && changed) {
+      this.root.dispatchEvent(new CustomEvent(FAQ_TOGGLE_EVENT, {
+        bubbles: true,
+        detail: { id: item.id, open, question: button.textContent.trim() }
+      }));
+    }
+  }
+
+  open(id) {
+    const item = typeof id === 'string' ? this.findItem(id) : id;
+    if (!item) return;
+
+    if (this.mode === 'single') {
+      this.getItems().forEach(other => {
+        if (other !== item) this.setOpen(other, false);
+      });
+    }
+
+    this.setOpen(item, true);
+  }
+
+  close(id) {
+    const item = typeof id === 'string' ? this.findItem(id) : id;
+    if (item) {
+      this.setOpen(item, false);
+    }
+  }
+
+  toggle(id) {
+    const item = typeof id === 'string' ? this.findItem(id) : id;
+    if (!item) return;
+
+    if (this.isOpen(item)) {
+      this.close(item);
+    } else {
+      this.open(item);
+    }
+  }
+
+  expandAll() {
+    if (this.mode !== 'multi') return;
+    this.getItems().forEach(item => this.setOpen(item, true));
+  }
+
+  collapseAll() {
+    this.getItems().forEach(item => this.setOpen(item, false));
+  }
+
+  handleClick(event) {
+    const control = event.target.closest('[data-faq-action]');
+    if (control && this.root.contains(control)) {
+      if (control.dataset.faqAction === 'expand-all') this.expandAll();
+      if (control.dataset.faqAction === 'collapse-all') this.collapseAll();
+      return;
+    }
+
+    const button = event.target.closest('button.faq-question');
+    if (!button || !this.root.contains(button)) return;
+
+    const item = button.closest('.faq-item');
+    this.toggle(item);
+
+    // Keep the address bar shareable without adding a history entry per click
+    if (this.isOpen(item)) {
+      history.replaceState(history.state, '', `#${item.id}`);
+    }
+  }
+
+  handleKeydown(event) {
+    if (!NAVIGATION_KEYS.includes(event.key)) return;
+
+    const button = event.target.closest('button.faq-question');
+    if (!button || !this.root.contains(button)) return;
+
+    const buttons = this.getItems().map(item => this.getParts(item).button).filter(Boolean);
+    const index = buttons.indexOf(button);
+    let next = index;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        next = (index + 1) % buttons.length;
+        break;
+      case 'ArrowUp':
+        next = (index - 1 + buttons.length) % buttons.length;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = buttons.length - 1;
+        break;
+    }
+
+    event.preventDefault();
+    buttons[next].focus();
+  }
+
+  /**
+   * Open and scroll to the item named by the URL hash, if it is one of ours
+   */
+  handleHashChange() {
+    const id = getHashId();
+    const item = this.findItem(id);
+    if (!item) {
+      // Old links outlive renamed questions
+      if (id.startsWith('faq-')) {
+        log.warn(`FAQ link "#${id}" matches no question`, { kind: 'missing-element', id });
+      }
+      return;
+    }
+
+    this.open(item);
+    Utils.smoothScrollTo(item, 100);
+    this.getParts(item).button.focus({ preventScroll: true });
+  }
+
+  destroy() {
+    this.root.removeEventListener('click', this.handleClick);
+    this.root.removeEventListener('keydown', this.handleKeydown);
+    window.removeEventListener('hashchange', this.handleHashChange);
+
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+  }
+}
+
+export default FaqController;
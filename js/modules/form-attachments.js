@@ -0,0 +1,378 @@
+/**
+ * Form Attachments Module
+ * Drag-and-drop file picking with type/size checks and in-browser previews
+ *
+ * Markup, on the field's container (content fields with an "upload" block):
+ *   [data-upload]              drop zone holding the file input
+ *   data-upload-max-size       largest file in MB (default 10)
+ *   data-upload-max-files      most files at once (default 5)
+ *   [data-upload-list]         where the chosen files are listed
+ *   [data-upload-limits]       filled with the type and size limits
+ *
+ * Files are checked by their first bytes as well as their name, so a renamed
+ * file is still caught. Images get a thumbnail and PDFs a page count, both
+ * worked out here without uploading anything. Rejections, including files
+ * that can't be read, are shown through the form's own field errors.
+ *
+ * The chosen files are kept here, since a file input can only replace its
+ * selection; where DataTransfer exists they are copied back into the input so
+ * a plain (no-fetch, multipart) submit carries the same files. The list is
+ * emptied when the form is reset or its draft discarded, and a zone whose
+ * input is disabled (a hidden conditional field) contributes no files.
+ */
+
+import { t, getLocale, onLocaleChange } from './i18n.js';
+import { track } from './analytics.js';
+import { log } from './logger.js';
+
+const MB = 1024 * 1024;
+
+// What can be attached, recognised by signature rather than trusted by extension
+const KINDS = {
+  pdf: { types: ['application/pdf'], extensions: ['.pdf'], signature: [0x25, 0x50, 0x44, 0x46] },
+  png: { types: ['image/png'], extensions: ['.png'], signature: [0x89, 0x50, 0x4e, 0x47] },
+  jpeg: { types: ['image/jpeg'], extensions: ['.jpg', '.jpeg'], signature: [0xff, 0xd8, 0xff] }
+};
+
+/**
+ * Kind of a file from its first bytes, or null for anything else
+ */
+export async function sniffKind(file) {
+  const bytes = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+  return Object.keys(KINDS).find(kind => KINDS[kind].signature.every((byte, index) => bytes[index] === byte)) || null;
+}
+
+/**
+ * Page count of a PDF: its /Type /Page objects, or the page tree's /Count when
+ * they are packed into compressed object streams. null when neither is found.
+ */
+export async function countPdfPages(file) {
+  const text = new TextDecoder('latin1').decode(await file.arrayBuffer());
+  const pages = text.match(/\/Type\s*\/Page(?![a-z])/gi);
+  if (pages) return pages.length;
+
+  const counts = Array.from(text.matchAll(/\/Count\s+(\d+)/g), match => Number(match[1]));
+  return counts.length ? Math.max(...counts) : null;
+}
+
+function formatSize(bytes) {
+  const [value, unit] = bytes >= MB ? [bytes / MB, 'megabyte'] : [Math.max(bytes / 1024, 1), 'kilobyte'];
+
+  try {
+    return new Intl.NumberFormat(getLocale(), { style: 'unit', unit, maximumFractionDigits: 1 }).format(value);
+  } catch (e) {
+    return `${value.toFixed(1)} ${unit === 'megabyte' ? 'MB' : 'KB'}`;
+  }
+}
+
+class FormAttachments {
+  constructor(zone, validator) {
+    this.zone = zone;
+    this.validator = validator;
+    this.input = zone.querySelector('input[type="file"]');
+    this.list = zone.querySelector('[data-upload-list]');
+    this.limits = zone.querySelector('[data-upload-limits]');
+    this.options = {
+      maxSize: (parseFloat(zone.dataset.uploadMaxSize) || 10) * MB,
+      maxFiles: parseInt(zone.dataset.uploadMaxFiles, 10) || 5
+    };
+
+    // { file, kind, pages, previewUrl, item }
+    this.entries = [];
+    this.rejections = [];
+    // Bumped by clear() so files still being read don't land in an emptied list
+    this.generation = 0;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.input || !this.list) return;
+
+    this.kinds = this.getAcceptedKinds();
+
+    this.handleChange = this.handleChange.bind(this);
+    this.handleDragOver = this.handleDragOver.bind(this);
+    this.handleDragLeave = this.handleDragLeave.bind(this);
+    this.handleDrop = this.handleDrop.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.clear = this.clear.bind(this);
+    this.relabel = this.relabel.bind(this);
+
+    this.input.addEventListener('change', this.handleChange);
+    this.zone.addEventListener('dragenter', this.handleDragOver);
+    this.zone.addEventListener('dragover', this.handleDragOver);
+    this.zone.addEventListener('dragleave', this.handleDragLeave);
+    this.zone.addEventListener('drop', this.handleDrop);
+    this.list.addEventListener('click', this.handleClick);
+    this.input.form?.addEventListener('reset', this.clear);
+    this.input.form?.addEventListener('draft:discard', this.clear);
+    this.unsubscribeLocale = onLocaleChange(this.relabel);
+
+    this.relabel();
+
+    this.active = true;
+  }
+
+  // The input's accept attribute narrows KINDS; without one all of them are allowed
+  getAcceptedKinds() {
+    const accept = (this.input.getAttribute('accept') || '').toLowerCase().split(',').map(token => token.trim()).filter(Boolean);
+    if (accept.length === 0) return Object.keys(KINDS);
+
+    return Object.keys(KINDS).filter(kind =>
+      [...KINDS[kind].types, ...KINDS[kind].extensions].some(token => accept.includes(token))
+    );
+  }
+
+  /**
+   * Chosen files with the field name they are sent under
+   */
+  getFiles() {
+    if (this.input.disabled) return [];
+
+    return this.entries.map(entry => ({ name: this.input.name, file: entry.file }));
+  }
+
+  handleChange() {
+    // The input shows what was just picked; our list holds everything chosen so far
+    this.addFiles(Array.from(this.input.files));
+  }
+
+  handleDragOver(event) {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types || []).includes('Files')) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    this.zone.classList.add('is-dragover');
+  }
+
+  handleDragLeave(event) {
+    if (!this.zone.contains(event.relatedTarget)) {
+      this.zone.classList.remove('is-dragover');
+    }
+  }
+
+  handleDrop(event) {
+    event.preventDefault();
+    this.zone.classList.remove('is-dragover');
+
+    if (event.dataTransfer && event.dataTransfer.files.length) {
+      this.addFiles(Array.from(event.dataTransfer.files));
+    }
+  }
+
+  handleClick(event) {
+    const button = event.target.closest('[data-upload-remove]');
+    if (!button) return;
+
+    const entry = this.entries.find(item => item.item === button.closest('li'));
+    if (entry) this.remove(entry);
+  }
+
+  /**
+   * Check and add files; everything that can't be attached is reported at once
+   */
+  async addFiles(files) {
+    const rejections = [];
+    const generation = this.generation;
+
+    for (const file of files) {
+      // The same file picked twice
+      if (this.entries.some(entry => entry.file.name === file.name && entry.file.size === file.size && entry.file.lastModified === file.lastModified)) {
+        continue;
+      }
+
+      // Left undefined when the file can't be read; null means not a kind we take
+      let kind;
+      try {
+        kind = await sniffKind(file);
+      } catch (error) {
+        // Truncated, moved or otherwise unreadable since it was picked
+        log.warn('Attachment could not be read', { kind: 'attachment', error });
+      }
+      if (generation !== this.generation) return;
+
+      const reason = kind === undefined
+        ? { key: 'attachments.unreadable', params: { file: file.name } }
+        : this.check(file, kind);
+      if (reason) {
+        rejections.push(reason);
+        track('form_attachment', { action: 'reject', reason: reason.key.split('.').pop() });
+        continue;
+      }
+
+      await this.add(file, kind);
+      if (generation !== this.generation) return;
+    }
+
+    this.rejections = rejections;
+    this.showRejections();
+    this.sync();
+  }
+
+  /**
+   * Why a file can't be attached, as { key, params }, or null when it can
+   */
+  check(file, kind) {
+    if (this.entries.length >= this.options.maxFiles) {
+      return { key: 'attachments.too_many', params: { max: this.options.maxFiles } };
+    }
+    if (file.size === 0) {
+      return { key: 'attachments.empty', params: { file: file.name } };
+    }
+    if (file.size > this.options.maxSize) {
+      return { key: 'attachments.too_large', params: { file: file.name, max: this.options.maxSize / MB } };
+    }
+
+    if (!kind || !this.kinds.includes(kind)) {
+      return { key: 'attachments.wrong_type', params: { file: file.name } };
+    }
+
+    return null;
+  }
+
+  async add(file, kind) {
+    const entry = { file, kind, pages: null, previewUrl: null, item: null };
+    const generation = this.generation;
+
+    if (kind === 'pdf') {
+      entry.pages = await countPdfPages(file).catch(() => null);
+      if (generation !== this.generation) return;
+    } else if (window.URL && URL.createObjectURL) {
+      entry.previewUrl = URL.createObjectURL(file);
+    }
+
+    entry.item = this.renderItem(entry);
+    this.list.appendChild(entry.item);
+    this.entries.push(entry);
+
+    track('form_attachment', { action: 'add', kind });
+  }
+
+  remove(entry) {
+    entry.item.remove();
+    if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    this.entries = this.entries.filter(item => item !== entry);
+
+    // A "too many files" message may no longer be true
+    this.rejections = [];
+    this.showRejections();
+    this.sync();
+    this.input.focus();
+
+    track('form_attachment', { action: 'remove', kind: entry.kind });
+  }
+
+  /**
+   * Drop every chosen file and any rejection message
+   */
+  clear() {
+    this.generation++;
+    this.entries.forEach(entry => {
+      entry.item.remove();
+      if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    });
+    this.entries = [];
+    this.rejections = [];
+    this.showRejections();
+    this.sync();
+  }
+
+  renderItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'form-upload-item';
+
+    let thumb;
+    if (entry.previewUrl) {
+      thumb = document.createElement('img');
+      thumb.src = entry.previewUrl;
+      thumb.alt = '';
+    } else {
+      thumb = document.createElement('span');
+      thumb.textContent = entry.kind.toUpperCase();
+      thumb.setAttribute('aria-hidden', 'true');
+    }
+    thumb.classList.add('form-upload-thumb');
+
+    const name = document.createElement('span');
+    name.className = 'form-upload-name';
+    name.textContent = entry.file.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'form-upload-meta';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'form-upload-remove';
+    remove.setAttribute('data-upload-remove', '');
+
+    item.append(thumb, name, meta, remove);
+    this.labelItem(entry, item);
+    return item;
+  }
+
+  labelItem(entry, item = entry.item) {
+    const details = [formatSize(entry.file.size)];
+    if (entry.pages) details.push(t('attachments.pages', { count: entry.pages }));
+
+    item.querySelector('.form-upload-meta').textContent = details.join(' · ');
+
+    const remove = item.querySelector('.form-upload-remove');
+    remove.textContent = t('attachments.remove');
+    remove.setAttribute('aria-label', t('attachments.remove_file', { file: entry.file.name }));
+  }
+
+  showRejections() {
+    if (this.rejections.length === 0) {
+      this.validator.clearFieldError({ target: this.input });
+      return;
+    }
+
+    // One message per reason; several "too many" rejections say the same thing
+    const messages = [...new Set(this.rejections.map(({ key, params }) => t(key, params)))];
+    this.validator.showFieldError(this.input, messages.join(' '));
+  }
+
+  // Mirror the list into the input for a plain submit
+  sync() {
+    if (typeof DataTransfer !== 'function') return;
+
+    try {
+      const transfer = new DataTransfer();
+      this.entries.forEach(entry => transfer.items.add(entry.file));
+      this.input.files = transfer.files;
+    } catch (e) {
+      // Older browsers can't set files; fetch submissions use our list anyway
+    }
+  }
+
+  relabel() {
+    if (this.limits) {
+      this.limits.textContent = t('attachments.limits', { size: this.options.maxSize / MB, files: this.options.maxFiles });
+    }
+    this.entries.forEach(entry => this.labelItem(entry));
+    if (this.rejections.length > 0) this.showRejections();
+  }
+
+  destroy() {
+    if (!this.active) return;
+
+    this.input.removeEventListener('change', this.handleChange);
+    this.zone.removeEventListener('dragenter', this.handleDragOver);
+    this.zone.removeEventListener('dragover', this.handleDragOver);
+    this.zone.removeEventListener('dragleave', this.handleDragLeave);
+    this.zone.removeEventListener('drop', this.handleDrop);
+    this.list.removeEventListener('click', this.handleClick);
+    this.input.form?.removeEventListener('reset', this.clear);
+    this.input.form?.removeEventListener('draft:discard', this.clear);
+    this.unsubscribeLocale();
+
+    this.entries.forEach(entry => {
+      if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    });
+
+    this.active = false;
+  }
+}
+
+export default FormAttachments;
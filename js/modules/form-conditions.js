@@ -0,0 +1,184 @@
+/**
+ * Form Conditions Module
+ * Shows, hides, requires or un-requires fields depending on other answers
+ *
+ * Declared on a field's .form-field container (content fields render them
+ * from show_if / require_if):
+ *   data-show-if="stage=MVP completed|Early traction"
+ *   data-require-if="team_size=2-3 people|4-5 people; stage=Growing business"
+ * Each clause is field=value|value (any of the values); clauses separated by
+ * ";" must all hold. Values are option values, not their translated labels.
+ *
+ * Hidden fields are disabled, so they are neither validated nor submitted,
+ * and keep their value in case the answer that hid them changes back.
+ * A hidden field counts as unanswered for the conditions of others.
+ */
+
+import { Utils } from './utils.js';
+
+export const CONDITIONS_CHANGE_EVENT = 'form:conditionschange';
+
+// Longest the hide animation may take before the field is hidden anyway
+const CONCEAL_TIMEOUT = 400;
+
+/**
+ * Parse "stage=Early traction|Growing business; team_size=6+ people"
+ */
+export function parseConditions(attribute) {
+  return String(attribute || '').split(';').map(clause => clause.trim()).filter(Boolean).map(clause => {
+    const separator = clause.indexOf('=');
+    return {
+      field: clause.slice(0, separator).trim(),
+      values: clause.slice(separator + 1).split('|').map(value => value.trim())
+    };
+  });
+}
+
+export function matchesConditions(conditions, values) {
+  return conditions.every(({ field, values: accepted }) => accepted.includes(values[field] || ''));
+}
+
+class FormConditions {
+  constructor(form, validator) {
+    this.form = form;
+    this.validator = validator;
+
+    this.rules = Array.from(form.querySelectorAll('[data-show-if], [data-require-if]')).map(container => ({
+      container,
+      controls: Array.from(container.querySelectorAll('input, select, textarea')),
+      showIf: container.hasAttribute('data-show-if') ? parseConditions(container.dataset.showIf) : null,
+      requireIf: container.hasAttribute('data-require-if') ? parseConditions(container.dataset.requireIf) : null
+    }));
+
+    this.init();
+  }
+
+  init() {
+    if (this.rules.length === 0) return;
+
+    this.handleChange = this.handleChange.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+
+    // The first pass applies the restored answers without animating
+    this.update({ animate: false });
+
+    // change rather than input: a field shouldn't vanish while its controller is being typed
+    this.form.addEventListener('change', this.handleChange);
+    this.form.addEventListener('reset', this.handleReset);
+
+    this.active = true;
+  }
+
+  /**
+   * Apply every rule until nothing changes; hiding a field can settle others
+   */
+  update({ animate = true } = {}) {
+    const changed = new Set();
+
+    for (let pass = 0; pass <= this.rules.length; pass++) {
+      const values = Utils.formatFormData(new FormData(this.form));
+      const before = changed.size;
+
+      this.rules.forEach(rule => {
+        const visible = rule.showIf ? matchesConditions(rule.showIf, values) : true;
+
+        if (visible === rule.controls[0].disabled) {
+          this.setVisible(rule, visible, animate);
+          changed.add(rule.container);
+        }
+
+        if (rule.requireIf) {
+          const required = matchesConditions(rule.requireIf, values);
+          if (required !== rule.container.classList.contains('required')) {
+            this.setRequired(rule, required);
+            changed.add(rule.container);
+          }
+        }
+      });
+
+      if (changed.size === before) break;
+    }
+
+    if (changed.size > 0) {
+      this.form.dispatchEvent(new CustomEvent(CONDITIONS_CHANGE_EVENT, {
+        bubbles: true,
+        detail: { fields: Array.from(changed, container => container.querySelector('[name]').name) }
+      }));
+    }
+  }
+
+  setVisible(rule, visible, animate) {
+    const { container, controls } = rule;
+    controls.forEach(control => { control.disabled = !visible; });
+    this.cancelConceal(rule);
+    container.classList.remove('is-revealing');
+
+    if (visible) {
+      container.hidden = false;
+      if (animate && !Utils.prefersReducedMotion()) {
+        container.classList.add('is-revealing');
+        container.addEventListener('animationend', () => container.classList.remove('is-revealing'), { once: true });
+      }
+      return;
+    }
+
+    // A hidden field has nothing left to say about its answer
+    controls.forEach(control => this.validator.clearFieldError({ target: control }));
+
+    if (!animate || Utils.prefersReducedMotion()) {
+      container.hidden = true;
+      return;
+    }
+
+    rule.conceal = () => {
+      this.cancelConceal(rule);
+      container.hidden = true;
+    };
+    container.classList.add('is-concealing');
+    container.addEventListener('animationend', rule.conceal);
+    rule.concealTimer = setTimeout(rule.conceal, CONCEAL_TIMEOUT);
+  }
+
+  // Stop a hide still animating, e.g. when the answer changes straight back
+  cancelConceal(rule) {
+    if (!rule.conceal) return;
+
+    rule.container.removeEventListener('animationend', rule.conceal);
+    rule.container.classList.remove('is-concealing');
+    clearTimeout(rule.concealTimer);
+    rule.conceal = null;
+  }
+
+  setRequired(rule, required) {
+    rule.container.classList.toggle('required', required);
+    rule.controls.forEach(control => {
+      control.required = required;
+
+      // An error shown under the old requirement may no longer apply, or a new one may
+      if (control.classList.contains('error')) {
+        this.validator.validateField({ target: control });
+      }
+    });
+  }
+
+  handleChange() {
+    this.update();
+  }
+
+  // Reset fires before the values change back
+  handleReset() {
+    setTimeout(() => this.update({ animate: false }), 0);
+  }
+
+  destroy() {
+    if (!this.active) return;
+
+    this.form.removeEventListener('change', this.handleChange);
+    this.form.removeEventListener('reset', this.handleReset);
+    this.rules.forEach(rule => this.cancelConceal(rule));
+
+    this.active = false;
+  }
+}
+
+export default FormConditions;
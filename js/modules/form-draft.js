@@ -0,0 +1,211 @@
+/**
+ * Form Draft Module
+ * Autosaves in-progress form answers to localStorage and restores them
+ */
+
+import { Utils } from './utils.js';
+import { t, getLocale, onLocaleChange } from './i18n.js';
+
+class FormDraftController {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = {
+      storageKey: 'contact-draft',
+      // Hours a draft stays restorable; overridable with data-draft-max-age on the form
+      maxAgeHours: parseFloat(form.dataset.draftMaxAge) || 72,
+      saveDelay: 500,
+      ...options
+    };
+    
+    this.banner = null;
+    this.restoredDraft = null;
+    this.step = 0;
+    
+    this.init();
+  }
+  
+  init() {
+    this.handleInput = Utils.debounce(this.save.bind(this), this.options.saveDelay);
+    this.handleStepChange = this.handleStepChange.bind(this);
+    this.relabelBanner = this.relabelBanner.bind(this);
+    
+    this.restore();
+    
+    this.form.addEventListener('input', this.handleInput);
+    this.form.addEventListener('change', this.handleInput);
+    this.form.addEventListener('wizard:stepchange', this.handleStepChange);
+    this.unsubscribeLocale = onLocaleChange(this.relabelBanner);
+  }
+  
+  getStoredDraft() {
+    try {
+      const raw = localStorage.getItem(this.options.storageKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  storeDraft(draft) {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(draft));
+    } catch (e) {
+      // Storage not available, continue without persistence
+    }
+  }
+  
+  clear() {
+    // A save still waiting would bring back what was just cleared
+    this.handleInput.cancel();
+    
+    try {
+      localStorage.removeItem(this.options.storageKey);
+    } catch (e) {
+      // Storage not available, nothing to clear
+    }
+  }
+  
+  // A native submit leaves the page before we know how it went; the thank-you
+  // page clears the draft when it finds this mark (see clear-draft.js)
+  markSubmitted() {
+    try {
+      sessionStorage.setItem(`${this.options.storageKey}:submitted`, '1');
+    } catch (e) {
+      // Storage not available; the draft stays until it expires or is discarded
+    }
+  }
+  
+  // Hidden inputs (_subject, _next, ...) are configuration, not answers
+  getDraftFields() {
+    return Array.from(this.form.elements).filter(field =>
+      field.name && !field.name.startsWith('_') && !['hidden', 'file', 'password', 'submit', 'button'].includes(field.type)
+    );
+  }
+  
+  collectValues() {
+    const values = {};
+    
+    this.getDraftFields().forEach(field => {
+      if (field.type === 'checkbox') {
+        values[field.name] = field.checked;
+      } else if (field.type === 'radio') {
+        if (field.checked) values[field.name] = field.value;
+      } else {
+        values[field.name] = field.value;
+      }
+    });
+    
+    return values;
+  }
+  
+  applyValues(values) {
+    this.getDraftFields().forEach(field => {
+      if (!(field.name in values)) return;
+      
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(values[field.name]);
+      } else if (field.type === 'radio') {
+        field.checked = field.value === values[field.name];
+      } else {
+        field.value = values[field.name];
+      }
+    });
+  }
+  
+  hasContent(values) {
+    return Object.values(values).some(value => typeof value === 'string' ? value.trim() !== '' : value);
+  }
+  
+  isExpired(draft) {
+    return Date.now() - draft.savedAt > this.options.maxAgeHours * 60 * 60 * 1000;
+  }
+  
+  save() {
+    const values = this.collectValues();
+    
+    if (!this.hasContent(values)) {
+      this.clear();
+      return;
+    }
+    
+    this.storeDraft({ savedAt: Date.now(), step: this.step, values });
+  }
+  
+  restore() {
+    const draft = this.getStoredDraft();
+    if (!draft || !draft.values || typeof draft.savedAt !== 'number') return;
+    
+    if (this.isExpired(draft)) {
+      this.clear();
+      return;
+    }
+    
+    this.applyValues(draft.values);
+    this.restoredDraft = draft;
+    this.step = draft.step || 0;
+    this.showBanner(draft.savedAt);
+  }
+  
+  handleStepChange(event) {
+    this.step = event.detail.index;
+    
+    if (this.hasContent(this.collectValues())) {
+      this.save();
+    }
+  }
+  
+  showBanner(savedAt) {
+    this.banner = document.createElement('div');
+    this.banner.className = 'form-draft-banner';
+    this.banner.setAttribute('role', 'status');
+    this.banner.dataset.savedAt = savedAt;
+    
+    const message = document.createElement('span');
+    message.className = 'form-draft-message';
+    
+    const discard = document.createElement('button');
+    discard.type = 'button';
+    discard.className = 'form-draft-discard';
+    discard.addEventListener('click', () => this.discard());
+    
+    this.banner.append(message, discard);
+    this.relabelBanner();
+    this.form.parentNode.insertBefore(this.banner, this.form);
+  }
+  
+  relabelBanner() {
+    if (!this.banner) return;
+    
+    const formatted = new Date(Number(this.banner.dataset.savedAt)).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+    this.banner.querySelector('.form-draft-message').textContent = t('draft.restored', { date: formatted });
+    this.banner.querySelector('.form-draft-discard').textContent = t('draft.discard');
+  }
+  
+  hideBanner() {
+    if (this.banner) {
+      this.banner.remove();
+      this.banner = null;
+    }
+  }
+  
+  discard() {
+    this.clear();
+    this.form.reset();
+    this.restoredDraft = null;
+    this.hideBanner();
+    
+    // Let the owning form clear errors and rewind its steps
+    this.form.dispatchEvent(new CustomEvent('draft:discard'));
+  }
+  
+  destroy() {
+    this.handleInput.cancel();
+    this.hideBanner();
+    this.form.removeEventListener('input', this.handleInput);
+    this.form.removeEventListener('change', this.handleInput);
+    this.form.removeEventListener('wizard:stepchange', this.handleStepChange);
+    this.unsubscribeLocale();
+  }
+}
+
+export default FormDraftController;
@@ -0,0 +1,356 @@
+/**
+ * Form Prefill Module
+ * Fills the application from an imported pitch file or from URL parameters
+ *
+ * Files (picked in a panel added above the form):
+ *   .json         { "problem": "...", ... } keyed by field name or label, or a
+ *                 receipt downloaded from the thank-you page
+ *   .md / .txt    text under each heading (or **Bold** line) goes into the
+ *                 field whose name or label the heading matches; "## The
+ *                 Problem" finds problem, "### Target Market" target_market
+ *
+ * URL parameters fill empty fields by exact name, so a restored draft is never
+ * overwritten (?stage=MVP%20completed); ?ref=podcast is kept in a hidden
+ * "referral" field for partner links. Select values must match an option's
+ * value or label.
+ *
+ * Every filled field goes through the form's own validation, as if typed and
+ * left, and is marked as filled automatically until the founder edits it.
+ */
+
+import { t, onLocaleChange } from './i18n.js';
+import { track } from './analytics.js';
+
+const MAX_FILE_SIZE = 1024 * 1024;
+const ACCEPTED_FILES = '.json,.md,.markdown,.txt,application/json,text/markdown,text/plain';
+const REFERRAL_PARAM = 'ref';
+const REFERRAL_FIELD = 'referral';
+
+/**
+ * Lowercase words only: "What Problem Are You Solving?" -> "what problem are you solving"
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[_\W]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Heading -> text blocks; **Bold** lines count as headings (receipts use them for labels)
+ */
+export function parseMarkdown(text) {
+  const entries = [];
+  let current = null;
+
+  String(text).split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/) || line.match(/^\s*\*\*(.+?):?\*\*:?\s*$/);
+
+    if (heading) {
+      current = { key: heading[1], lines: [] };
+      entries.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  return entries
+    .map(entry => ({ key: entry.key, value: entry.lines.join('\n').trim() }))
+    .filter(entry => entry.value);
+}
+
+/**
+ * Key/value pairs from JSON: a flat object, or a receipt's sections
+ */
+export function parseJson(text) {
+  const data = JSON.parse(text);
+
+  if (data && Array.isArray(data.sections)) {
+    return data.sections.flatMap(section => (section.fields || []).map(field => ({ key: field.name || field.label, value: field.value })));
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Expected an object of fields');
+  }
+
+  return Object.entries(data)
+    .filter(([, value]) => ['string', 'number'].includes(typeof value))
+    .map(([key, value]) => ({ key, value: String(value) }));
+}
+
+class FormPrefill {
+  constructor(form, validator, options = {}) {
+    this.form = form;
+    this.validator = validator;
+    this.options = {
+      maxFileSize: MAX_FILE_SIZE,
+      ...options
+    };
+
+    this.panel = null;
+    this.status = null;
+
+    this.init();
+  }
+
+  init() {
+    this.handleFileChange = this.handleFileChange.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.clearMarks = this.clearMarks.bind(this);
+    this.relabel = this.relabel.bind(this);
+
+    this.renderPanel();
+    this.prefillFromUrl();
+
+    this.form.addEventListener('input', this.handleInput);
+    this.form.addEventListener('draft:discard', this.clearMarks);
+    this.form.addEventListener('reset', this.clearMarks);
+    this.unsubscribeLocale = onLocaleChange(this.relabel);
+  }
+
+  // Same notion of an answer as drafts: named, visible, not _configuration
+  getFields() {
+    return Array.from(this.form.elements).filter(field =>
+      field.name && !field.name.startsWith('_') && !['hidden', 'file', 'password', 'submit', 'button'].includes(field.type)
+    );
+  }
+
+  getLabel(field) {
+    const label = field.id ? this.form.querySelector(`label[for="${field.id}"]`) : null;
+    return label ? (label.querySelector('span') || label).textContent : '';
+  }
+
+  /**
+   * Field a heading or key refers to: exact name or label first, then the
+   * field whose name words all appear in it (most words wins)
+   */
+  findField(key) {
+    const wanted = normalize(key);
+    if (!wanted) return null;
+
+    const fields = this.getFields();
+    const exact = fields.find(field => normalize(field.name) === wanted || normalize(this.getLabel(field)) === wanted);
+    if (exact) return exact;
+
+    const words = ` ${wanted} `;
+    let best = null;
+    let bestLength = 0;
+
+    fields.forEach(field => {
+      const name = normalize(field.name);
+      if (words.includes(` ${name} `) && name.length > bestLength) {
+        best = field;
+        bestLength = name.length;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Value as the field will hold it; null when a select has no such option
+   */
+  resolveValue(field, value) {
+    const text = String(value).trim();
+    if (field.tagName !== 'SELECT') return text;
+
+    const wanted = normalize(text);
+    const option = Array.from(field.options).find(item =>
+      item.value && (normalize(item.value) === wanted || normalize(item.textContent) === wanted)
+    );
+    return option ? option.value : null;
+  }
+
+  /**
+   * Fill fields from key/value entries; returns the fields that were filled
+   */
+  apply(entries, { source, onlyEmpty = false, exactNames = false } = {}) {
+    const filled = new Map();
+
+    entries.forEach(({ key, value }) => {
+      const field = exactNames
+        ? this.getFields().find(item => item.name === key)
+        : this.findField(key);
+      if (!field || filled.has(field) || (onlyEmpty && field.value.trim() !== '')) return;
+
+      const resolved = this.resolveValue(field, value);
+      if (resolved === null || resolved === '') return;
+
+      field.value = resolved;
+      filled.set(field, source);
+    });
+
+    filled.forEach((fieldSource, field) => {
+      this.validator.validateField({ target: field });
+      this.mark(field, fieldSource);
+    });
+
+    if (filled.size > 0) {
+      // Lets the draft autosave pick the new answers up
+      this.form.dispatchEvent(new Event('change', { bubbles: true }));
+      track('form_prefill', { source, fields: filled.size });
+    }
+
+    return Array.from(filled.keys());
+  }
+
+  prefillFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const entries = [];
+
+    params.forEach((value, key) => {
+      if (key === REFERRAL_PARAM) {
+        this.setReferral(value);
+      } else {
+        entries.push({ key, value });
+      }
+    });
+
+    if (entries.length > 0) {
+      this.apply(entries, { source: 'link', onlyEmpty: true, exactNames: true });
+    }
+  }
+
+  setReferral(value) {
+    let input = this.form.querySelector(`input[type="hidden"][name="${REFERRAL_FIELD}"]`);
+
+    if (!input) {
+      input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = REFERRAL_FIELD;
+      this.form.appendChild(input);
+    }
+
+    input.value = value.slice(0, 100);
+  }
+
+  renderPanel() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'form-import';
+
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.id = 'form-import-file';
+    this.fileInput.className = 'form-import-input';
+    this.fileInput.accept = ACCEPTED_FILES;
+    this.fileInput.addEventListener('change', this.handleFileChange);
+
+    this.fileLabel = document.createElement('label');
+    this.fileLabel.className = 'form-import-label';
+    this.fileLabel.htmlFor = this.fileInput.id;
+
+    this.hint = document.createElement('p');
+    this.hint.className = 'form-import-hint';
+
+    this.status = document.createElement('p');
+    this.status.className = 'form-import-status';
+    this.status.setAttribute('role', 'status');
+
+    this.panel.append(this.fileLabel, this.fileInput, this.hint, this.status);
+    this.relabel();
+    this.form.parentNode.insertBefore(this.panel, this.form);
+  }
+
+  async handleFileChange() {
+    const file = this.fileInput.files[0];
+    if (!file) return;
+
+    // Cleared so picking the same file again after editing it still imports
+    this.fileInput.value = '';
+
+    if (file.size > this.options.maxFileSize) {
+      this.setStatus('prefill.too_large', { file: file.name }, true);
+      return;
+    }
+
+    let entries;
+    try {
+      const text = await file.text();
+      entries = /\.json$/i.test(file.name) || file.type === 'application/json' ? parseJson(text) : parseMarkdown(text);
+    } catch (error) {
+      this.setStatus('prefill.unreadable', { file: file.name }, true);
+      return;
+    }
+
+    const filled = this.apply(entries, { source: 'file' });
+
+    if (filled.length === 0) {
+      this.setStatus('prefill.no_matches', { file: file.name }, true);
+    } else {
+      this.setStatus('prefill.filled', { count: filled.length, file: file.name });
+    }
+  }
+
+  setStatus(key, params, isError = false) {
+    this.statusMessage = { key, params };
+    this.status.classList.toggle('is-error', isError);
+    this.status.textContent = t(key, params);
+  }
+
+  mark(field, source) {
+    const container = field.closest('.form-field');
+    if (!container) return;
+
+    container.classList.add('is-prefilled');
+    container.dataset.prefillSource = source;
+
+    let badge = container.querySelector('.prefill-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'prefill-badge';
+      const label = container.querySelector('label');
+      (label || container).appendChild(badge);
+    }
+    badge.textContent = t(`prefill.badge_${source}`);
+  }
+
+  unmark(container) {
+    container.classList.remove('is-prefilled');
+    delete container.dataset.prefillSource;
+
+    const badge = container.querySelector('.prefill-badge');
+    if (badge) badge.remove();
+  }
+
+  // Once the founder edits a value it is theirs
+  handleInput(event) {
+    const container = event.target.closest && event.target.closest('.form-field.is-prefilled');
+    if (container) {
+      this.unmark(container);
+    }
+  }
+
+  clearMarks() {
+    this.form.querySelectorAll('.form-field.is-prefilled').forEach(container => this.unmark(container));
+  }
+
+  relabel() {
+    this.fileLabel.textContent = t('prefill.label');
+    this.hint.textContent = t('prefill.hint');
+
+    if (this.statusMessage) {
+      this.status.textContent = t(this.statusMessage.key, this.statusMessage.params);
+    }
+
+    this.form.querySelectorAll('.form-field.is-prefilled').forEach(container => {
+      container.querySelector('.prefill-badge').textContent = t(`prefill.badge_${container.dataset.prefillSource}`);
+    });
+  }
+
+  destroy() {
+    this.fileInput.removeEventListener('change', this.handleFileChange);
+    this.form.removeEventListener('input', this.handleInput);
+    this.form.removeEventListener('draft:discard', this.clearMarks);
+    this.form.removeEventListener('reset', this.clearMarks);
+    this.unsubscribeLocale();
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+  }
+}
+
+export default FormPrefill;
@@ -0,0 +1,125 @@
+/**
+ * Form Submitter Module
+ * Fetch-based JSON (or, with files, multipart) submission with timeout and exponential backoff
+ */
+
+import { t } from './i18n.js';
+
+// Error raised when the form endpoint rejects or cannot be reached
+export class SubmissionError extends Error {
+  constructor(message, { status = 0, retryable = false, fieldErrors = [] } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.retryable = retryable;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+export class FormSubmitter {
+  constructor(form, options = {}) {
+    const next = form.querySelector('[name="_next"]');
+    
+    this.form = form;
+    this.options = {
+      // data-endpoint lets a local stand-in replace Formspree without touching the no-JS action
+      endpoint: form.dataset.endpoint || form.getAttribute('action'),
+      successUrl: next ? new URL(next.value, window.location.href).pathname : '/contact/thank-you',
+      maxAttempts: 3,
+      retryDelay: 1000,
+      timeout: 15000,
+      // Uploads get longer; a deck over a slow connection takes a while
+      uploadTimeout: 120000,
+      ...options
+    };
+  }
+  
+  static isSupported() {
+    return typeof window.fetch === 'function' && typeof window.AbortController === 'function';
+  }
+  
+  /**
+   * Send data, plus files as [{ name, file }], retrying what can be retried
+   */
+  async submit(data, files = []) {
+    let attempt = 0;
+    
+    while (true) {
+      attempt++;
+      
+      try {
+        return await this.send(data, files);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.options.maxAttempts) {
+          throw error;
+        }
+        
+        // Exponential backoff: 1s, 2s, 4s...
+        await this.wait(this.options.retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+  
+  // JSON has no room for files, so with any attached everything goes as multipart
+  encode(data, files) {
+    if (files.length === 0) {
+      return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) };
+    }
+    
+    // No Content-Type: the browser sets it with the multipart boundary
+    const body = new FormData();
+    Object.entries(data).forEach(([key, value]) => body.append(key, value));
+    files.forEach(({ name, file }) => body.append(name, file, file.name));
+    return { headers: {}, body };
+  }
+  
+  async send(data, files = []) {
+    const controller = new AbortController();
+    const timeout = files.length ? this.options.uploadTimeout : this.options.timeout;
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const request = this.encode(data, files);
+    let response;
+    
+    try {
+      response = await fetch(this.options.endpoint, {
+        method: 'POST',
+        headers: {
+          ...request.headers,
+          'Accept': 'application/json'
+        },
+        body: request.body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new SubmissionError(t('form.network_error'), { retryable: true });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    
+    const body = await response.json().catch(() => ({}));
+    
+    if (response.ok) {
+      return body;
+    }
+    
+    if (response.status >= 500 || response.status === 429) {
+      throw new SubmissionError(t('form.server_error'), {
+        status: response.status,
+        retryable: true
+      });
+    }
+    
+    const fieldErrors = Array.isArray(body.errors) ? body.errors : [];
+    const message = fieldErrors.length
+      ? fieldErrors.map(error => error.message).join(' ')
+      : body.error || t('form.rejected');
+    
+    throw new SubmissionError(message, { status: response.status, fieldErrors });
+  }
+  
+  wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+export default FormSubmitter;
@@ -0,0 +1,290 @@
+/**
+ * Form Wizard Module
+ * Shows each contact form section as its own step with progress and hash routing
+ */
+
+import { Utils } from './utils.js';
+import { t, onLocaleChange } from './i18n.js';
+
+class FormWizard {
+  constructor(form, validator, options = {}) {
+    this.form = form;
+    this.validator = validator;
+    this.options = {
+      hashPrefix: 'step-',
+      scrollOffset: 100,
+      ...options
+    };
+
+    // Every section with fields is a step; the submit area rides along with the last one
+    const sections = Array.from(form.querySelectorAll('.contact-form-section'));
+    this.steps = sections.filter(section => section.querySelector('.form-fields'));
+    this.submitSection = sections.find(section => section.querySelector('[type="submit"]')) || null;
+
+    this.currentIndex = 0;
+    this.progress = null;
+
+    this.init();
+  }
+
+  init() {
+    if (this.steps.length < 2) return;
+
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleNavClick = this.handleNavClick.bind(this);
+    this.relabel = this.relabel.bind(this);
+
+    // Required fields on hidden steps would block native validation without any visible message
+    this.hadNoValidate = this.form.noValidate;
+    this.form.noValidate = true;
+    this.form.classList.add('is-wizard');
+    this.renderProgress();
+    this.steps.forEach((step, index) => this.renderNav(step, index));
+
+    this.form.addEventListener('click', this.handleNavClick);
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.unsubscribeLocale = onLocaleChange(this.relabel);
+
+    this.showStep(this.clampToReachable(this.getStepFromHash()), { updateHash: false, focus: false });
+    history.replaceState(history.state, '', this.getHashForStep(this.currentIndex));
+  }
+
+  getStepTitle(step, index) {
+    const heading = step.querySelector('.section-header h3');
+    return heading ? heading.textContent.trim() : t('wizard.step', { number: index + 1 });
+  }
+
+  renderProgress() {
+    this.progress = document.createElement('nav');
+    this.progress.className = 'form-progress';
+    this.progress.setAttribute('aria-label', t('wizard.progress_label'));
+
+    const list = document.createElement('ol');
+    list.className = 'form-progress-steps';
+
+    this.steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'form-progress-step';
+      item.dataset.stepIndex = index;
+
+      const marker = document.createElement('span');
+      marker.className = 'form-progress-marker';
+      marker.setAttribute('aria-hidden', 'true');
+      marker.textContent = index + 1;
+
+      const label = document.createElement('span');
+      label.className = 'form-progress-label';
+      label.textContent = this.getStepTitle(step, index);
+
+      item.append(marker, label);
+      list.appendChild(item);
+    });
+
+    this.progressBar = document.createElement('div');
+    this.progressBar.className = 'form-progress-bar';
+    this.progressBar.setAttribute('role', 'progressbar');
+    this.progressBar.setAttribute('aria-valuemin', '1');
+    this.progressBar.setAttribute('aria-valuemax', String(this.steps.length));
+    this.progressBar.innerHTML = '<span class="form-progress-fill"></span>';
+
+    this.progress.append(list, this.progressBar);
+    this.form.insertBefore(this.progress, this.form.firstChild);
+  }
+
+  renderNav(step, index) {
+    const nav = document.createElement('div');
+    nav.className = 'form-step-nav';
+
+    if (index > 0) {
+      const back = document.createElement('button');
+      back.type = 'button';
+      back.className = 'cta-button cta-button-secondary';
+      back.dataset.wizardAction = 'back';
+      back.textContent = t('wizard.back');
+      nav.appendChild(back);
+    }
+
+    if (index < this.steps.length - 1) {
+      const next = document.createElement('button');
+      next.type = 'button';
+      next.className = 'cta-button';
+      next.dataset.wizardAction = 'next';
+      next.textContent = t('wizard.next', { title: this.getStepTitle(this.steps[index + 1], index + 1) });
+      nav.appendChild(next);
+    }
+
+    step.querySelector('.section-container').appendChild(nav);
+  }
+
+  handleNavClick(event) {
+    const button = event.target.closest('[data-wizard-action]');
+    if (!button) return;
+
+    if (button.dataset.wizardAction === 'next') {
+      this.next();
+    } else if (button.dataset.wizardAction === 'back') {
+      this.back();
+    }
+  }
+
+  handleHashChange() {
+    const requested = this.getStepFromHash();
+    const target = this.clampToReachable(requested);
+
+    if (target !== requested) {
+      history.replaceState(history.state, '', this.getHashForStep(target));
+    }
+
+    this.showStep(target, { updateHash: false });
+  }
+
+  getHashForStep(index) {
+    return `#${this.options.hashPrefix}${index + 1}`;
+  }
+
+  getStepFromHash() {
+    const match = window.location.hash.match(new RegExp(`^#${this.options.hashPrefix}(\\d+)$`));
+    if (!match) return 0;
+
+    const index = parseInt(match[1], 10) - 1;
+    return Math.min(Math.max(index, 0), this.steps.length - 1);
+  }
+
+  // A step can only be reached once every step before it validates
+  clampToReachable(index) {
+    for (let i = 0; i < index; i++) {
+      if (!this.isStepValid(i)) {
+        return i;
+      }
+    }
+    return index;
+  }
+
+  getStepFields(index) {
+    return this.validator.getValidatableFields().filter(field => this.steps[index].contains(field));
+  }
+
+  isStepValid(index) {
+    return this.getStepFields(index).every(field => this.validator.checkField(field).valid);
+  }
+
+  validateStep(index) {
+    let isValid = true;
+
+    this.getStepFields(index).forEach(field => {
+      if (!this.validator.validateField({ target: field })) {
+        isValid = false;
+      }
+    });
+
+    return isValid;
+  }
+
+  getStepIndexFor(element) {
+    return this.steps.findIndex(step => step.contains(element));
+  }
+
+  next() {
+    if (!this.validateStep(this.currentIndex)) {
+      const firstError = this.steps[this.currentIndex].querySelector('.error');
+      if (firstError) {
+        firstError.focus();
+      }
+      return;
+    }
+
+    this.showStep(this.currentIndex + 1);
+  }
+
+  back() {
+    this.showStep(this.currentIndex - 1);
+  }
+
+  showStep(index, { updateHash = true, focus = true } = {}) {
+    if (index < 0 || index >= this.steps.length) return;
+
+    this.currentIndex = index;
+    const isLast = index === this.steps.length - 1;
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== index;
+    });
+
+    if (this.submitSection) {
+      this.submitSection.hidden = !isLast;
+    }
+
+    this.updateProgress();
+
+    if (updateHash && window.location.hash !== this.getHashForStep(index)) {
+      history.pushState(history.state, '', this.getHashForStep(index));
+    }
+
+    if (focus) {
+      const heading = this.steps[index].querySelector('.section-header h3');
+      if (heading) {
+        heading.setAttribute('tabindex', '-1');
+        heading.focus({ preventScroll: true });
+      }
+      Utils.smoothScrollTo(this.form, this.options.scrollOffset);
+    }
+
+    this.form.dispatchEvent(new CustomEvent('wizard:stepchange', {
+      bubbles: true,
+      detail: { index, total: this.steps.length, title: this.getStepTitle(this.steps[index], index) }
+    }));
+  }
+
+  updateProgress() {
+    this.progress.querySelectorAll('.form-progress-step').forEach((item, i) => {
+      item.classList.toggle('is-current', i === this.currentIndex);
+      item.classList.toggle('is-complete', i < this.currentIndex);
+
+      if (i === this.currentIndex) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    const position = this.currentIndex + 1;
+    this.progressBar.setAttribute('aria-valuenow', String(position));
+    this.progressBar.setAttribute('aria-valuetext', t('wizard.step_of', { number: position, total: this.steps.length }));
+    this.progressBar.querySelector('.form-progress-fill').style.width = `${(position / this.steps.length) * 100}%`;
+  }
+
+  // Step titles come from the (translated) headings, so everything derived from them follows the locale
+  relabel() {
+    this.progress.setAttribute('aria-label', t('wizard.progress_label'));
+    this.progress.querySelectorAll('.form-progress-label').forEach((label, index) => {
+      label.textContent = this.getStepTitle(this.steps[index], index);
+    });
+
+    this.steps.forEach((step, index) => {
+      const back = step.querySelector('[data-wizard-action="back"]');
+      const next = step.querySelector('[data-wizard-action="next"]');
+      if (back) back.textContent = t('wizard.back');
+      if (next) next.textContent = t('wizard.next', { title: this.getStepTitle(this.steps[index + 1], index + 1) });
+    });
+
+    this.updateProgress();
+  }
+
+  destroy() {
+    this.form.removeEventListener('click', this.handleNavClick);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    if (this.unsubscribeLocale) this.unsubscribeLocale();
+
+    // Put the form back the way the markup had it
+    if (this.progress) {
+      this.progress.remove();
+      this.form.querySelectorAll('.form-step-nav').forEach(nav => nav.remove());
+      this.steps.forEach(step => { step.hidden = false; });
+      if (this.submitSection) this.submitSection.hidden = false;
+      this.form.classList.remove('is-wizard');
+      this.form.noValidate = this.hadNoValidate;
+    }
+  }
+}
+
+export default FormWizard;
@@ -0,0 +1,287 @@
+/**
+ * Hexagon Background Module
+ * Fills the parallax layers with procedurally placed hexagons
+ *
+ * Configured on the element carrying data-component="hexagons":
+ *   data-hexagon-seed      any string; the same seed always gives the same layout
+ *   data-hexagon-density   multiplier on each layer's count (default 1)
+ *   data-hexagon-renderer  "dom" (animated divs), "svg" (static, for low-end devices) or "auto"
+ *                          (a background over its frame budget is always "svg")
+ * and on each [data-hexagon-layer]:
+ *   data-hexagon-count     hexagons per viewport height (default 5)
+ *
+ * Layers are generated in 100vh bands, each seeded on its own, so a page that
+ * grows only appends bands and the hexagons already on screen never move.
+ */
+
+import { Utils } from './utils.js';
+import { isStaticBackground, PERFORMANCE_BUDGET_EVENT } from './performance.js';
+
+const SIZES = ['tiny', 'small', 'medium', 'large', 'huge'];
+// Matches the scale() in each drift-* keyframe
+const SIZE_SCALES = { tiny: 0.25, small: 0.33, medium: 0.5, large: 0.75, huge: 1 };
+const BASE_SIZE = 100;
+const HEIGHT_RATIO = 1.1547; // point-to-point height of a pointy-top hexagon, 2/√3
+const MAX_DELAY = 30;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Deterministic 32-bit seed from a string (FNV-1a)
+ */
+function hashSeed(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hexagon specs for one 100vh band of a layer
+ * Each hexagon gets its own slice of the band so they spread out vertically
+ * the way the old hand-placed ones did. Returns [{ size, top, left, delay }]
+ * with top in vh, left in %, delay in seconds.
+ */
+export function generateBand(seed, layerKey, band, count) {
+  const random = createRandom(hashSeed(`${seed}:${layerKey}:${band}`));
+  const whole = Math.floor(count);
+  const total = whole + (random() < count - whole ? 1 : 0);
+  const slice = total > 0 ? 100 / total : 100;
+  const hexagons = [];
+
+  for (let i = 0; i < total; i++) {
+    hexagons.push({
+      size: SIZES[Math.floor(random() * SIZES.length)],
+      top: Number((band * 100 + i * slice + random() * slice * 0.8).toFixed(1)),
+      left: Number((2 + random() * 88).toFixed(1)),
+      delay: Number((random() * MAX_DELAY).toFixed(1))
+    });
+  }
+
+  return hexagons;
+}
+
+class HexagonBackground {
+  constructor(root = document.body) {
+    this.root = root;
+    this.options = {
+      seed: root.dataset.hexagonSeed || 'slablab',
+      density: parseFloat(root.dataset.hexagonDensity) || 1,
+      renderer: root.dataset.hexagonRenderer || 'dom',
+      resizeThrottle: 250
+    };
+
+    this.renderer = this.resolveRenderer(this.options.renderer);
+    this.layers = Array.from(document.querySelectorAll('[data-hexagon-layer]')).map((element, index) => ({
+      element,
+      key: element.dataset.hexagonLayer || String(index),
+      count: (parseFloat(element.dataset.hexagonCount) || 5) * this.options.density,
+      speed: Math.abs(parseFloat(element.dataset.parallaxSpeed) || 0),
+      bands: []
+    }));
+    this.shape = null;
+
+    this.init();
+  }
+
+  init() {
+    if (this.layers.length === 0) return;
+
+    this.update = this.update.bind(this);
+    this.handleBudget = this.handleBudget.bind(this);
+    this.handleResize = Utils.throttle(this.update, this.options.resizeThrottle);
+
+    this.update();
+
+    document.addEventListener(PERFORMANCE_BUDGET_EVENT, this.handleBudget);
+
+    // Long pages and late-loading content need more bands as the document grows
+    window.addEventListener('resize', this.handleResize, { passive: true });
+    if ('ResizeObserver' in window) {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(document.documentElement);
+    }
+  }
+
+  /**
+   * 'auto' falls back to the static SVG renderer on devices that ask for less work
+   */
+  resolveRenderer(renderer) {
+    if (isStaticBackground()) {
+      return 'svg';
+    }
+
+    if (renderer !== 'auto') {
+      return renderer === 'svg' ? 'svg' : 'dom';
+    }
+
+    const connection = navigator.connection || {};
+    const lowEnd = connection.saveData
+      || (navigator.deviceMemory && navigator.deviceMemory <= 2)
+      || (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2);
+
+    return lowEnd ? 'svg' : 'dom';
+  }
+
+  /**
+   * Bands needed for a layer to stay covered all the way to the bottom of the page
+   * A fixed layer moving at speed s needs viewport + s * maxScroll of content.
+   */
+  getBandCount(layer) {
+    const viewport = window.innerHeight || 1;
+    const maxScroll = Math.max(0, document.documentElement.scrollHeight - viewport);
+    return Math.max(1, Math.ceil((viewport + layer.speed * maxScroll) / viewport));
+  }
+
+  update() {
+    this.layers.forEach(layer => {
+      const needed = this.getBandCount(layer);
+
+      while (layer.bands.length < needed) {
+        const band = layer.bands.length;
+        const specs = generateBand(this.options.seed, layer.key, band, layer.count);
+        layer.bands.push(this.renderer === 'svg'
+          ? this.renderSvgBand(layer, band, specs)
+          : this.renderDomBand(layer, specs));
+      }
+
+      while (layer.bands.length > needed) {
+        layer.bands.pop().forEach(node => node.remove());
+      }
+    });
+  }
+
+  /**
+   * Redraw as static SVG once the animated hexagons cost too much per frame
+   * The same seeds give the same layout, so only the motion goes.
+   */
+  handleBudget() {
+    if (this.renderer === 'svg') return;
+
+    this.renderer = 'svg';
+    this.clearBands();
+    this.update();
+  }
+
+  clearBands() {
+    this.layers.forEach(layer => {
+      layer.bands.forEach(nodes => nodes.forEach(node => node.remove()));
+      layer.bands = [];
+    });
+  }
+
+  renderDomBand(layer, specs) {
+    const fragment = document.createDocumentFragment();
+
+    const nodes = specs.map(({ size, top, left, delay }) => {
+      const hexagon = document.createElement('div');
+      hexagon.className = `hexagon ${size}`;
+      hexagon.style.top = `${top}vh`;
+      hexagon.style.left = `${left}%`;
+      hexagon.style.animationDelay = `-${delay}s`;
+      fragment.appendChild(hexagon);
+      return hexagon;
+    });
+
+    layer.element.appendChild(fragment);
+    return nodes;
+  }
+
+  /**
+   * One shared <symbol> that every SVG band draws with <use>
+   */
+  getShape() {
+    if (!this.shape) {
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('class', 'hexagon-defs');
+      svg.setAttribute('aria-hidden', 'true');
+
+      const symbol = document.createElementNS(SVG_NS, 'symbol');
+      symbol.id = 'hexagon-shape';
+      symbol.setAttribute('viewBox', `0 0 ${BASE_SIZE} ${BASE_SIZE * HEIGHT_RATIO}`);
+
+      const polygon = document.createElementNS(SVG_NS, 'polygon');
+      polygon.setAttribute('points', '50,0 100,28.87 100,86.6 50,115.47 0,86.6 0,28.87');
+      symbol.appendChild(polygon);
+      svg.appendChild(symbol);
+
+      this.root.appendChild(svg);
+      this.shape = svg;
+    }
+
+    return this.shape;
+  }
+
+  /**
+   * Each band is a static 100vh <svg>; tints stay CSS variables, so theme and
+   * palette changes need no redraw
+   */
+  renderSvgBand(layer, band, specs) {
+    this.getShape();
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'hexagon-svg');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('focusable', 'false');
+    svg.style.top = `${band * 100}vh`;
+
+    specs.forEach(({ size, top, left }) => {
+      const width = BASE_SIZE * SIZE_SCALES[size];
+      const use = document.createElementNS(SVG_NS, 'use');
+      use.setAttribute('href', '#hexagon-shape');
+      use.setAttribute('class', size);
+      use.setAttribute('x', `${left}%`);
+      use.setAttribute('y', `${(top - band * 100).toFixed(1)}%`);
+      use.setAttribute('width', String(width));
+      use.setAttribute('height', (width * HEIGHT_RATIO).toFixed(1));
+      svg.appendChild(use);
+    });
+
+    layer.element.appendChild(svg);
+    return [svg];
+  }
+
+  /**
+   * Snapshot for the diagnostics overlay
+   */
+  getDebugState() {
+    return {
+      renderer: this.renderer,
+      bands: this.layers.map(layer => `${layer.key}: ${layer.bands.length}`).join(', ')
+    };
+  }
+
+  destroy() {
+    if (this.layers.length === 0) return;
+
+    window.removeEventListener('resize', this.handleResize);
+    document.removeEventListener(PERFORMANCE_BUDGET_EVENT, this.handleBudget);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+
+    // Leave the layers as empty as the markup shipped them, ready for a remount
+    this.clearBands();
+
+    if (this.shape) {
+      this.shape.remove();
+      this.shape = null;
+    }
+  }
+}
+
+export default HexagonBackground;
@@ -0,0 +1,307 @@
+/**
+ * Internationalisation Module
+ * Locale catalogs, detection, translation of page copy and the language picker
+ *
+ * Catalogs are JSON files in /locales/<code>.json. Keys are dotted paths:
+ *   - page copy follows the content file it was rendered from, e.g.
+ *     site.nav.0.label (content/site.json) or pages.index.hero.title
+ *     (content/pages/index.json); list items with an id or name are keyed by
+ *     it (pages.index.faq.items.faq-why-bootstrap.question), others by position
+ *   - strings built in JavaScript live under their module's namespace
+ *     (validation.*, wizard.*, draft.*, ...) and must exist in en.json
+ *
+ * Markup opts in with attributes, and falls back to its own (English) text:
+ *   data-i18n="key"                    text content
+ *   data-i18n-html="key"               markup, for copy with <br> and friends
+ *   data-i18n-attr="placeholder:key"   attributes, space-separated pairs
+ *
+ * The locale is the stored choice, else the first of navigator.languages the
+ * site offers (<html data-locales="en es ar">), else English. <html lang> and
+ * dir follow it. t() never touches the DOM, so modules shared with Node
+ * (validation-rules.js) can import it and registerCatalog() their own strings.
+ */
+
+import { log } from './logger.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_STORAGE_KEY = 'locale';
+export const LOCALE_CHANGE_EVENT = 'locale:change';
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+const CATALOG_PATH = '/locales/';
+
+const catalogs = new Map();
+const pending = new Map();
+// What each element said before it was first translated, for switching back
+const originals = new WeakMap();
+let currentLocale = DEFAULT_LOCALE;
+let ready = null;
+
+function lookup(catalog, key) {
+  if (!catalog) return undefined;
+  const value = key.split('.').reduce((node, segment) => (node == null ? undefined : node[segment]), catalog);
+  return typeof value === 'string' ? value : undefined;
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Base language of a locale code: 'pt-BR' -> 'pt'
+ */
+function language(locale) {
+  return String(locale || '').toLowerCase().split(/[-_]/)[0];
+}
+
+export function registerCatalog(locale, messages) {
+  catalogs.set(locale, messages);
+}
+
+/**
+ * Translate a key in the current locale
+ * Missing keys fall back to English, then to fallback (the key itself by default).
+ * {name} placeholders are filled from params.
+ */
+export function t(key, params = {}, fallback = key) {
+  const message = lookup(catalogs.get(currentLocale), key) ?? lookup(catalogs.get(DEFAULT_LOCALE), key) ?? fallback;
+  return interpolate(message, params);
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function isRtl(locale) {
+  return RTL_LANGUAGES.includes(language(locale));
+}
+
+/**
+ * Locales the site offers, as declared on <html data-locales>
+ */
+export function getAvailableLocales() {
+  const declared = document.documentElement.dataset.locales;
+  return declared ? declared.split(/\s+/).filter(Boolean) : [DEFAULT_LOCALE];
+}
+
+/**
+ * Best match for the visitor's languages: exact code first, then base language
+ */
+export function detectLocale(available = getAvailableLocales(), preferred = navigator.languages || [navigator.language]) {
+  for (const wanted of preferred.filter(Boolean)) {
+    const exact = available.find(locale => locale.toLowerCase() === wanted.toLowerCase());
+    if (exact) return exact;
+
+    const base = available.find(locale => language(locale) === language(wanted));
+    if (base) return base;
+  }
+  return available.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : available[0];
+}
+
+export function getStoredLocale() {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+function storeLocale(locale) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (e) {
+    // Storage not available, continue without persistence
+  }
+}
+
+/**
+ * Fetch a catalog once; concurrent callers share the request
+ */
+export function loadCatalog(locale) {
+  if (catalogs.has(locale)) return Promise.resolve(catalogs.get(locale));
+
+  if (!pending.has(locale)) {
+    pending.set(locale, fetch(`${CATALOG_PATH}${locale}.json`, { headers: { 'Accept': 'application/json' } })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load locale "${locale}": ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(messages => {
+        registerCatalog(locale, messages);
+        return messages;
+      })
+      .finally(() => pending.delete(locale)));
+  }
+
+  return pending.get(locale);
+}
+
+function remember(element) {
+  if (!originals.has(element)) {
+    originals.set(element, { text: element.textContent, html: element.innerHTML, attributes: {} });
+  }
+  return originals.get(element);
+}
+
+function parseAttributePairs(value) {
+  return String(value || '').trim().split(/\s+/).filter(Boolean).map(pair => {
+    const separator = pair.indexOf(':');
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  });
+}
+
+/**
+ * Apply the current catalog to every opted-in element under root
+ * Only the current locale's catalog is consulted; anything it lacks shows the
+ * markup's original text.
+ */
+export function translateElements(root = document) {
+  const catalog = currentLocale === DEFAULT_LOCALE ? null : catalogs.get(currentLocale);
+
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    const original = remember(element);
+    const message = lookup(catalog, element.dataset.i18n);
+    element.textContent = message ?? original.text;
+  });
+
+  // Catalogs are our own files, so their markup is trusted like the templates'
+  root.querySelectorAll('[data-i18n-html]').forEach(element => {
+    const original = remember(element);
+    const message = lookup(catalog, element.dataset.i18nHtml);
+    element.innerHTML = message ?? original.html;
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    const original = remember(element);
+
+    parseAttributePairs(element.dataset.i18nAttr).forEach(([attribute, key]) => {
+      if (!(attribute in original.attributes)) {
+        original.attributes[attribute] = element.getAttribute(attribute);
+      }
+
+      const message = lookup(catalog, key) ?? original.attributes[attribute];
+      if (message == null) {
+        element.removeAttribute(attribute);
+      } else {
+        element.setAttribute(attribute, message);
+      }
+    });
+  });
+}
+
+function applyToDocument(locale) {
+  const root = document.documentElement;
+  root.setAttribute('lang', locale);
+  root.setAttribute('dir', isRtl(locale) ? 'rtl' : 'ltr');
+  translateElements(document);
+}
+
+/**
+ * Switch locale: loads its catalog, retranslates the page and notifies listeners
+ * source is 'user' (persisted), 'sync' (another tab) or 'detect'.
+ */
+export async function setLocale(locale, { source = 'user' } = {}) {
+  const available = getAvailableLocales();
+  const target = available.includes(locale) ? locale : detectLocale(available, [locale]);
+
+  try {
+    await loadCatalog(target);
+  } catch (error) {
+    log.warn('Locale catalog failed to load', { kind: 'i18n', locale: target, error });
+    if (target !== DEFAULT_LOCALE) return currentLocale;
+  }
+
+  if (source === 'user') {
+    storeLocale(target);
+  }
+
+  const previous = currentLocale;
+  currentLocale = target;
+  applyToDocument(target);
+
+  if (previous !== target) {
+    document.dispatchEvent(new CustomEvent(LOCALE_CHANGE_EVENT, {
+      detail: { locale: target, previous, dir: isRtl(target) ? 'rtl' : 'ltr', source }
+    }));
+  }
+
+  return target;
+}
+
+/**
+ * Load English and the visitor's locale before components render their copy
+ * Safe to call repeatedly; always resolves, untranslated if catalogs fail to load.
+ */
+export function initI18n() {
+  if (!ready) {
+    const locale = getStoredLocale() || detectLocale();
+
+    ready = Promise.all([DEFAULT_LOCALE, locale].map(code => loadCatalog(code).catch(error => {
+      log.warn('Locale catalog failed to load', { kind: 'i18n', locale: code, error });
+    })))
+      .then(() => setLocale(locale, { source: 'detect' }));
+  }
+  return ready;
+}
+
+/**
+ * Subscribe to locale changes; returns an unsubscribe function
+ */
+export function onLocaleChange(callback) {
+  const listener = event => callback(event.detail);
+  document.addEventListener(LOCALE_CHANGE_EVENT, listener);
+  return () => document.removeEventListener(LOCALE_CHANGE_EVENT, listener);
+}
+
+class LocaleSwitcher {
+  constructor(container) {
+    this.container = container;
+    this.select = container.querySelector('[data-locale-picker]');
+
+    this.init();
+  }
+
+  init() {
+    this.handleChange = this.handleChange.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+    this.sync = this.sync.bind(this);
+
+    if (this.select) {
+      this.select.value = getLocale();
+      this.select.addEventListener('change', this.handleChange);
+    }
+
+    window.addEventListener('storage', this.handleStorage);
+    document.addEventListener(LOCALE_CHANGE_EVENT, this.sync);
+  }
+
+  handleChange() {
+    setLocale(this.select.value);
+  }
+
+  handleStorage(event) {
+    if (event.key !== LOCALE_STORAGE_KEY && event.key !== null) return;
+
+    // key === null means another tab cleared storage entirely
+    setLocale(event.newValue || detectLocale(), { source: 'sync' });
+  }
+
+  sync() {
+    if (this.select) {
+      this.select.value = getLocale();
+    }
+  }
+
+  destroy() {
+    if (this.select) {
+      this.select.removeEventListener('change', this.handleChange);
+    }
+
+    window.removeEventListener('storage', this.handleStorage);
+    document.removeEventListener(LOCALE_CHANGE_EVENT, this.sync);
+  }
+}
+
+export default LocaleSwitcher;
@@ -0,0 +1,450 @@
+/**
+ * Intro Call Module
+ * Slot picker on the thank-you page, with an .ics invite for the chosen slot
+ *
+ * Slots come from a static availability file (data-availability-src, served
+ * from the precache when offline):
+ *   { "timeZone": "America/New_York", "slotMinutes": 30, "minNoticeHours": 24,
+ *     "horizonDays": 14,
+ *     "weekly": { "mon": [["10:00", "12:00"], ...], ... },
+ *     "blackouts": ["2026-11-26", { "from": "2026-12-24", "to": "2027-01-01" }] }
+ * Windows and blackouts are in the studio's time zone; slots are listed in
+ * the visitor's own.
+ *
+ * Requesting a slot sends it, with the application's reference, to the form
+ * endpoint (data-endpoint) and offers the invite. Offline, the request waits
+ * for the connection to come back; when the endpoint can't be reached online
+ * it is tried again with backoff and whenever the page is shown again. The
+ * invite works straight away either way. Without a receipt on the page there
+ * is no reference to match the request to, so only the invite is offered.
+ *
+ * Markup inside [data-component="intro-call"] (hidden until there are slots):
+ *   [data-intro-call-zone]  [data-intro-call-slots]  [data-intro-call-confirm]
+ *   [data-intro-call-summary]  [data-intro-call-request]
+ *   [data-intro-call-download]  [data-intro-call-status]
+ */
+
+import { Utils } from './utils.js';
+import { t, getLocale, onLocaleChange } from './i18n.js';
+import { track } from './analytics.js';
+import { FormSubmitter } from './form-submitter.js';
+import { log } from './logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const UID_DOMAIN = 'slablab.com';
+// After the submitter's own quick retries: 30s, 1, 2, 4 and 8 minutes
+const RETRY_DELAY = 30 * 1000;
+const MAX_RETRIES = 5;
+
+/**
+ * Wall-clock date and time of a moment in a time zone
+ */
+function zoneParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  return Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+}
+
+function zoneOffset(timestamp, timeZone) {
+  const parts = zoneParts(timestamp, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Moment a wall-clock time ("2026-11-03", "10:00") happens in a time zone
+ * The offset is checked again at the result, which settles DST changeovers.
+ */
+export function zonedTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const estimate = wallClock - zoneOffset(wallClock, timeZone);
+  return wallClock - zoneOffset(estimate, timeZone);
+}
+
+function isoDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function isBlackedOut(date, blackouts) {
+  return blackouts.some(entry => (typeof entry === 'string'
+    ? entry === date
+    : date >= entry.from && date <= entry.to));
+}
+
+/**
+ * Bookable slots as [{ start, end }] timestamps, earliest first
+ */
+export function buildSlots(availability, now = Date.now()) {
+  const { timeZone, weekly = {}, blackouts = [] } = availability;
+  const slotLength = (availability.slotMinutes || 30) * 60 * 1000;
+  const earliest = now + (availability.minNoticeHours || 0) * 60 * 60 * 1000;
+  const today = zoneParts(now, timeZone);
+  const first = Date.UTC(today.year, today.month - 1, today.day);
+  const slots = [];
+
+  for (let index = 0; index <= (availability.horizonDays || 14); index++) {
+    const date = isoDate(first + index * DAY);
+    if (isBlackedOut(date, blackouts)) continue;
+
+    (weekly[WEEKDAYS[new Date(first + index * DAY).getUTCDay()]] || []).forEach(([from, to]) => {
+      const end = zonedTime(date, to, timeZone);
+      for (let start = zonedTime(date, from, timeZone); start + slotLength <= end; start += slotLength) {
+        if (start >= earliest) slots.push({ start, end: start + slotLength });
+      }
+    });
+  }
+
+  return slots;
+}
+
+function icsTime(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets; a continuation starts with a space
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const decoder = new TextDecoder();
+  const chunks = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let end = Math.min(offset + (offset === 0 ? 75 : 74), bytes.length);
+    // Never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(decoder.decode(bytes.slice(offset, end)));
+    offset = end;
+  }
+  return chunks.join('\r\n ');
+}
+
+/**
+ * RFC 5545 calendar with a single event, times in UTC
+ */
+export function toIcs({ uid, start, end, summary, description, location, stamp = Date.now() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Slab Lab//Intro call//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${icsTime(stamp)}`,
+    `DTSTART:${icsTime(start)}`,
+    `DTEND:${icsTime(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `LOCATION:${icsText(location)}`,
+    'STATUS:TENTATIVE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+class IntroCall {
+  constructor(element) {
+    this.element = element;
+    this.slotsContainer = element.querySelector('[data-intro-call-slots]');
+    this.confirm = element.querySelector('[data-intro-call-confirm]');
+    this.status = element.querySelector('[data-intro-call-status]');
+    this.availability = null;
+    this.slots = [];
+    this.selected = null;
+    this.requested = null;
+    this.pending = null;
+    this.retries = 0;
+    this.retryTimer = null;
+    this.statusMessage = null;
+
+    this.init();
+  }
+
+  init() {
+    this.handleClick = this.handleClick.bind(this);
+    this.retry = this.retry.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.render = this.render.bind(this);
+
+    this.element.addEventListener('click', this.handleClick);
+    window.addEventListener('online', this.retry);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.unsubscribeLocale = onLocaleChange(this.render);
+
+    // Only the endpoint matters here; the section stands in for the form
+    this.submitter = FormSubmitter.isSupported() && this.element.dataset.endpoint
+      ? new FormSubmitter(this.element)
+      : null;
+
+    this.ready = this.loadAvailability()
+      .then(availability => {
+        this.availability = availability;
+        this.slots = buildSlots(availability);
+        this.render();
+        this.element.hidden = this.slots.length === 0;
+      })
+      .catch(error => log.warn(error.message, { component: 'intro-call' }));
+  }
+
+  async loadAvailability() {
+    const src = this.element.dataset.availabilitySrc;
+    const response = await fetch(src, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Failed to load availability from ${src}: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  formatTime(timestamp, options = {}) {
+    return new Date(timestamp).toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit', ...options });
+  }
+
+  formatDay(timestamp) {
+    return new Date(timestamp).toLocaleDateString(getLocale(), { weekday: 'long', month: 'long', day: 'numeric' });
+  }
+
+  render() {
+    if (!this.availability) return;
+
+    const zone = this.element.querySelector('[data-intro-call-zone]');
+    if (zone) {
+      zone.textContent = t('intro_call.zone', { zone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+    }
+
+    // Grouped by the visitor's calendar day, which needn't be the studio's
+    const days = new Map();
+    this.slots.forEach(slot => {
+      const key = new Date(slot.start).toDateString();
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(slot);
+    });
+
+    this.slotsContainer.textContent = '';
+    days.forEach(slots => {
+      const group = document.createElement('div');
+      group.className = 'intro-call-day';
+
+      const heading = document.createElement('h3');
+      heading.textContent = this.formatDay(slots[0].start);
+
+      const list = document.createElement('div');
+      list.className = 'intro-call-times';
+      slots.forEach(slot => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'intro-call-slot';
+        button.dataset.slot = String(slot.start);
+        button.setAttribute('aria-pressed', String(this.selected === slot));
+        button.textContent = this.formatTime(slot.start);
+        list.appendChild(button);
+      });
+
+      group.append(heading, list);
+      this.slotsContainer.appendChild(group);
+    });
+
+    this.renderSummary();
+
+    if (this.statusMessage) {
+      this.status.textContent = t(this.statusMessage.key, this.statusMessage.params);
+    }
+  }
+
+  renderSummary() {
+    if (!this.confirm) return;
+
+    this.confirm.hidden = !this.selected;
+    if (!this.selected) return;
+
+    const summary = this.confirm.querySelector('[data-intro-call-summary]');
+    summary.textContent = t('intro_call.selected', {
+      day: this.formatDay(this.selected.start),
+      time: `${this.formatTime(this.selected.start)}–${this.formatTime(this.selected.end)}`,
+      studio: this.formatTime(this.selected.start, { timeZone: this.availability.timeZone, timeZoneName: 'short' })
+    });
+
+    // The invite is for the slot we've been asked for, not just one being looked at
+    const download = this.confirm.querySelector('[data-intro-call-download]');
+    if (download) download.hidden = this.requested !== this.selected;
+  }
+
+  handleClick(event) {
+    const slotButton = event.target.closest('[data-slot]');
+    if (slotButton) {
+      this.select(Number(slotButton.dataset.slot));
+      return;
+    }
+
+    if (event.target.closest('[data-intro-call-request]')) {
+      this.request();
+    } else if (event.target.closest('[data-intro-call-download]')) {
+      this.downloadInvite();
+    }
+  }
+
+  select(start) {
+    this.selected = this.slots.find(slot => slot.start === start) || null;
+
+    this.slotsContainer.querySelectorAll('[data-slot]').forEach(button => {
+      button.setAttribute('aria-pressed', String(Number(button.dataset.slot) === start));
+    });
+    this.renderSummary();
+  }
+
+  // The thank-you page's receipt carries the reference the application was sent with
+  getReference() {
+    const reference = document.querySelector('[data-receipt-reference]');
+    return reference ? reference.textContent.trim() : '';
+  }
+
+  request() {
+    if (!this.selected) return;
+
+    const slot = this.selected;
+    const reference = this.getReference();
+    this.requested = slot;
+    this.renderSummary();
+
+    // A new choice replaces one still waiting to go out
+    clearTimeout(this.retryTimer);
+    this.pending = null;
+    this.retries = 0;
+
+    track('intro_call_request', { notice: Math.round((slot.start - Date.now()) / DAY) });
+
+    if (!reference) {
+      log.warn('Intro call request without a submission reference', { component: 'intro-call' });
+      this.setStatus('intro_call.download_only');
+      return;
+    }
+
+    this.send({
+      _subject: `Intro call request ${reference}`,
+      reference,
+      intro_call_start: new Date(slot.start).toISOString(),
+      intro_call_end: new Date(slot.end).toISOString(),
+      intro_call_studio_time: `${new Date(slot.start).toLocaleString('en-US', {
+        timeZone: this.availability.timeZone,
+        dateStyle: 'full',
+        timeStyle: 'short'
+      })} (${this.availability.timeZone})`,
+      intro_call_time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+  }
+
+  async send(data) {
+    if (!this.submitter) {
+      this.setStatus('intro_call.download_only');
+      return;
+    }
+
+    if (navigator.onLine === false) {
+      this.queue(data);
+      return;
+    }
+
+    this.setStatus('intro_call.sending');
+
+    try {
+      await this.submitter.submit(data);
+    } catch (error) {
+      if (error.retryable && this.retries < MAX_RETRIES) {
+        this.queue(data);
+      } else {
+        this.setStatus('intro_call.failed', { message: error.message }, true);
+      }
+      return;
+    }
+
+    this.retries = 0;
+    this.setStatus('intro_call.sent');
+  }
+
+  // Offline, wait for the connection; online, the endpoint is struggling, so back off
+  queue(data) {
+    this.pending = data;
+    clearTimeout(this.retryTimer);
+
+    if (navigator.onLine === false) {
+      this.setStatus('intro_call.queued');
+      return;
+    }
+
+    this.setStatus('intro_call.retrying');
+    this.retryTimer = setTimeout(this.retry, RETRY_DELAY * Math.pow(2, this.retries));
+    this.retries++;
+  }
+
+  retry() {
+    if (!this.pending) return;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const data = this.pending;
+    this.pending = null;
+    this.send(data);
+  }
+
+  // Timers barely run in a background tab; coming back is a good moment to try
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible') this.retry();
+  }
+
+  setStatus(key, params = {}, isError = false) {
+    this.statusMessage = { key, params };
+    if (!this.status) return;
+
+    this.status.classList.toggle('is-error', isError);
+    this.status.textContent = t(key, params);
+  }
+
+  downloadInvite() {
+    if (!this.requested) return;
+
+    const { start, end } = this.requested;
+    const reference = this.getReference();
+    const ics = toIcs({
+      uid: `${reference || 'intro-call'}-${icsTime(start)}@${UID_DOMAIN}`,
+      start,
+      end,
+      summary: t('intro_call.event_title'),
+      description: [t('intro_call.event_description'), reference ? `${t('receipt.reference')}: ${reference}` : '']
+        .filter(Boolean).join('\n\n'),
+      location: t('intro_call.event_location')
+    });
+
+    Utils.downloadFile(`slab-lab-intro-call-${isoDate(start)}.ics`, 'text/calendar;charset=utf-8', ics);
+    track('intro_call_invite', { format: 'ics' });
+  }
+
+  destroy() {
+    this.element.removeEventListener('click', this.handleClick);
+    window.removeEventListener('online', this.retry);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    clearTimeout(this.retryTimer);
+    this.unsubscribeLocale();
+  }
+}
+
+export default IntroCall;
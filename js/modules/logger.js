@@ -0,0 +1,226 @@
+/**
+ * Logger Module
+ * Structured client logging with levels, a buffer of recent entries and
+ * optional forwarding, plus capture of uncaught errors
+ *
+ *   log.warn('Element not found', { kind: 'missing-element', id: 'bio-full-ada' })
+ *
+ * Entries are { level, message, context, page, ts }; an Error anywhere in the
+ * context is kept as { name, message, stack }. Everything at or above the
+ * console level is written to the console as before (debug entries only in
+ * debug mode), and everything at or above the forward level is batched to the
+ * endpoint. Both come from the <body>, set up once in main.js:
+ *   data-log-endpoint  URL batches are beaconed to (no endpoint, no forwarding)
+ *   data-log-level     lowest level forwarded (default "warn")
+ *
+ * Debug mode is switched on with ?debug=1 and stays on in this browser until
+ * ?debug=0; it shows the diagnostics overlay and debug entries.
+ *
+ * Contexts carry names, ids and outcomes, never what a visitor typed.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_ENTRY_EVENT = 'log:entry';
+
+const DEBUG_STORAGE_KEY = 'debug';
+const DEBUG_PARAM = 'debug';
+const MAX_ENTRIES = 200;
+// An error thrown in a loop mustn't flood the endpoint
+const MAX_FORWARDED = 50;
+const FLUSH_INTERVAL = 5000;
+
+const entries = [];
+const queue = [];
+const config = {
+  endpoint: '',
+  forwardLevel: 'warn',
+  consoleLevel: 'info'
+};
+let forwarded = 0;
+let flushTimer = null;
+let capturing = false;
+
+function levelIndex(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack || null };
+}
+
+// Errors don't survive JSON.stringify, and stray DOM nodes shouldn't try to
+function serializeContext(context) {
+  if (context instanceof Error) return { error: serializeError(context) };
+
+  return Object.fromEntries(Object.entries(context).map(([key, value]) => {
+    if (value instanceof Error) return [key, serializeError(value)];
+    if (typeof Node !== 'undefined' && value instanceof Node) return [key, value.nodeName.toLowerCase()];
+    return [key, value];
+  }));
+}
+
+/**
+ * Whether debug mode is on; ?debug=1 / ?debug=0 switch it for this browser
+ */
+export function isDebugMode() {
+  const param = new URLSearchParams(window.location.search).get(DEBUG_PARAM);
+
+  try {
+    if (param === '1') {
+      localStorage.setItem(DEBUG_STORAGE_KEY, '1');
+    } else if (param === '0') {
+      localStorage.removeItem(DEBUG_STORAGE_KEY);
+    }
+    return localStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+  } catch (e) {
+    // Without storage only the parameter itself counts
+    return param === '1';
+  }
+}
+
+export function setDebugMode(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(DEBUG_STORAGE_KEY, '1');
+    } else {
+      localStorage.removeItem(DEBUG_STORAGE_KEY);
+    }
+  } catch (e) {
+    // Storage not available; the mode lasts as long as the page
+  }
+  config.consoleLevel = enabled ? 'debug' : 'info';
+}
+
+/**
+ * Set the endpoint and levels, e.g. from data attributes
+ */
+export function configureLogger({ endpoint, level, debug } = {}) {
+  if (endpoint !== undefined) config.endpoint = endpoint || '';
+  if (LOG_LEVELS.includes(level)) config.forwardLevel = level;
+  if (debug !== undefined) config.consoleLevel = debug ? 'debug' : 'info';
+}
+
+export function flushLogs() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (queue.length === 0 || !config.endpoint) return;
+
+  const body = JSON.stringify({ logs: queue.splice(0) });
+
+  if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'application/json' }))) {
+    return;
+  }
+
+  if (window.fetch) {
+    fetch(config.endpoint, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json' }
+    }).catch(() => {
+      // Nowhere left to report a failed report
+    });
+  }
+}
+
+function forward(entry) {
+  if (!config.endpoint || levelIndex(entry.level) < levelIndex(config.forwardLevel) || forwarded >= MAX_FORWARDED) return;
+
+  forwarded++;
+  queue.push(entry);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushLogs, FLUSH_INTERVAL);
+  }
+}
+
+/**
+ * Record an entry; echo: false leaves the console alone (the browser has already printed it)
+ */
+export function record(level, message, context = {}, { echo = true } = {}) {
+  const entry = {
+    level: LOG_LEVELS.includes(level) ? level : 'info',
+    message: String(message),
+    context: serializeContext(context),
+    page: window.location.pathname,
+    ts: Date.now()
+  };
+
+  entries.push(entry);
+  if (entries.length > MAX_ENTRIES) entries.shift();
+
+  if (echo && levelIndex(entry.level) >= levelIndex(config.consoleLevel)) {
+    const method = entry.level === 'debug' ? 'debug' : entry.level;
+    const details = Object.keys(context).length > 0 || context instanceof Error ? [context] : [];
+    console[method](message, ...details);
+  }
+
+  forward(entry);
+  document.dispatchEvent(new CustomEvent(LOG_ENTRY_EVENT, { detail: entry }));
+
+  return entry;
+}
+
+export const log = {
+  debug: (message, context) => record('debug', message, context),
+  info: (message, context) => record('info', message, context),
+  warn: (message, context) => record('warn', message, context),
+  error: (message, context) => record('error', message, context)
+};
+
+/**
+ * Recent entries, oldest first, optionally only those at or above a level
+ */
+export function getLogEntries(minLevel = 'debug') {
+  return entries.filter(entry => levelIndex(entry.level) >= levelIndex(minLevel));
+}
+
+/**
+ * Subscribe to new entries; returns an unsubscribe function
+ */
+export function onLog(callback) {
+  const listener = event => callback(event.detail);
+  document.addEventListener(LOG_ENTRY_EVENT, listener);
+  return () => document.removeEventListener(LOG_ENTRY_EVENT, listener);
+}
+
+/**
+ * Log uncaught errors and unhandled rejections, and send what's queued when the page is hidden
+ * Safe to call more than once; the page keeps its usual console output.
+ */
+export function captureErrors() {
+  if (capturing) return;
+  capturing = true;
+
+  window.addEventListener('error', event => {
+    // Resource load failures reach here too, without a message
+    if (!event.message && event.target !== window) {
+      record('error', 'Resource failed to load', {
+        kind: 'resource',
+        source: event.target.currentSrc || event.target.src || event.target.href || null
+      }, { echo: false });
+      return;
+    }
+
+    record('error', event.message, {
+      kind: 'uncaught',
+      source: event.filename || null,
+      line: event.lineno || null,
+      column: event.colno || null,
+      error: event.error instanceof Error ? event.error : null
+    }, { echo: false });
+  }, true);
+
+  window.addEventListener('unhandledrejection', event => {
+    const { reason } = event;
+    record('error', reason instanceof Error ? reason.message : String(reason), {
+      kind: 'unhandled-rejection',
+      error: reason instanceof Error ? reason : null
+    }, { echo: false });
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushLogs();
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Palette Registry
+ * Named theme palettes: custom-property maps layered over the light/dark tokens
+ *
+ * Built-in palettes keep their properties in styles/base/palettes.css. Palettes
+ * registered at runtime carry their own properties, which are written into a
+ * <style> block scoped to [data-palette="<id>"].
+ */
+
+export const PALETTE_REGISTER_EVENT = 'palette:register';
+
+const palettes = new Map();
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const UNSAFE_VALUE = /[{};<>]|\/\*/;
+
+/**
+ * Write (or replace) the style block for a runtime palette
+ */
+function injectProperties(id, properties) {
+  const declarations = Object.entries(properties)
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join('\n');
+
+  let style = document.querySelector(`style[data-palette-style="${id}"]`);
+  if (!style) {
+    style = document.createElement('style');
+    style.dataset.paletteStyle = id;
+    document.head.appendChild(style);
+  }
+
+  style.textContent = `[data-palette="${id}"] {\n${declarations}\n}`;
+}
+
+/**
+ * Register a palette
+ * base is 'light' or 'dark' (the data-theme the palette sits on), or null to
+ * follow the system colour scheme. properties maps --custom-property names to values.
+ */
+export function registerPalette({ id, label, base = 'dark', properties = {} }) {
+  if (!ID_PATTERN.test(String(id))) {
+    throw new Error(`Invalid palette id "${id}"`);
+  }
+
+  if (base !== null && base !== 'light' && base !== 'dark') {
+    throw new Error(`Palette "${id}" has invalid base "${base}"`);
+  }
+
+  Object.entries(properties).forEach(([name, value]) => {
+    if (!name.startsWith('--') || UNSAFE_VALUE.test(name) || UNSAFE_VALUE.test(String(value))) {
+      throw new Error(`Palette "${id}" has an invalid property "${name}"`);
+    }
+  });
+
+  const palette = { id, label: label || id, base, properties };
+  palettes.set(id, palette);
+
+  if (Object.keys(properties).length > 0) {
+    injectProperties(id, properties);
+  }
+
+  document.dispatchEvent(new CustomEvent(PALETTE_REGISTER_EVENT, { detail: palette }));
+  return palette;
+}
+
+/**
+ * Register palettes from JSON: a JSON string, a parsed object/array, or a URL to fetch
+ * Accepts a single palette or an array of them; returns the registered palettes.
+ */
+export async function registerPalettesFromJSON(source) {
+  let data = source;
+
+  if (typeof source === 'string') {
+    const trimmed = source.trim();
+    data = trimmed.startsWith('{') || trimmed.startsWith('[')
+      ? JSON.parse(trimmed)
+      : await fetch(source, { headers: { 'Accept': 'application/json' } }).then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load palettes from ${source}: ${response.status}`);
+        }
+        return response.json();
+      });
+  }
+
+  return (Array.isArray(data) ? data : [data]).map(registerPalette);
+}
+
+export function getPalette(id) {
+  return palettes.get(id) || null;
+}
+
+export function getPalettes() {
+  return Array.from(palettes.values());
+}
+
+// Built-ins; light and dark are the plain variables.css tokens
+registerPalette({ id: 'light', label: 'Light', base: 'light' });
+registerPalette({ id: 'dark', label: 'Dark', base: 'dark' });
+registerPalette({ id: 'high-contrast', label: 'High contrast', base: null });
+registerPalette({ id: 'sepia', label: 'Sepia', base: 'light' });
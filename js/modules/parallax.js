@@ -1,79 +1,291 @@
 /**
  * Optimized Parallax Effect Module
  * Handles smooth parallax scrolling with performance optimizations
+ *
+ * Layers are declared in markup:
+ *   data-parallax-speed   scroll multiplier, e.g. -0.5 (required to opt in)
+ *   data-parallax-axis    "y" (default), "x" or "xy"
+ *   data-parallax-easing  0-1 fraction of the remaining distance covered per frame (1 = no easing)
+ *   data-parallax-tilt    max px offset following the pointer on desktop (0 = off)
+ * Without any declared layers the classic .layer-back/.layer-mid/.layer-front speeds apply.
+ *
+ * The controller starts and stops itself as motion preference, viewport width,
+ * tab visibility and layer visibility change, and stops for good once the
+ * background is over its frame budget. Layers placed straight in the <body>
+ * (the fixed hexagon background) are always on screen; layers inside another
+ * element are only moved while that element is in view.
  */
 
+import { Utils } from './utils.js';
+import { isStaticBackground, PERFORMANCE_BUDGET_EVENT } from './performance.js';
+
+const LEGACY_LAYERS = [
+  { selector: '.layer-back', speed: -0.2 },
+  { selector: '.layer-mid', speed: -0.5 },
+  { selector: '.layer-front', speed: -0.8 }
+];
+
 class ParallaxController {
-  constructor(options = {}) {
+  constructor(root = document) {
+    this.root = root;
     this.options = {
-      throttleDelay: 16, // ~60fps
-      ...options
-    };
-    
-    this.elements = {
-      layerBack: document.querySelector('.layer-back'),
-      layerMid: document.querySelector('.layer-mid'),
-      layerFront: document.querySelector('.layer-front')
+      resizeThrottle: 150,
+      settleThreshold: 0.1
     };
-    
-    this.ticking = false;
-    this.lastScrollY = 0;
-    
+
+    this.layers = this.collectLayers();
+    this.running = false;
+    this.frameId = null;
+    this.visibleContainers = new Set();
+    this.pointer = { x: 0, y: 0 };
+
     this.init();
   }
-  
+
   init() {
-    if (!this.hasParallaxElements()) {
+    if (this.layers.length === 0) {
       return;
     }
-    
-    // Use passive listeners for better performance
-    window.addEventListener('scroll', this.handleScroll.bind(this), { passive: true });
-    
-    // Initial call to set positions
-    this.updateParallax();
-  }
-  
-  hasParallaxElements() {
-    return this.elements.layerBack || this.elements.layerMid || this.elements.layerFront;
-  }
-  
-  handleScroll() {
-    if (!this.ticking) {
-      requestAnimationFrame(this.updateParallax.bind(this));
-      this.ticking = true;
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.updateParallax = this.updateParallax.bind(this);
+    this.evaluate = this.evaluate.bind(this);
+    this.handleResize = Utils.throttle(this.evaluate, this.options.resizeThrottle);
+
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.finePointerQuery = window.matchMedia('(hover: hover) and (pointer: fine)');
+
+    // Re-decide whether to run whenever any of the inputs change
+    this.motionQuery.addEventListener('change', this.evaluate);
+    this.finePointerQuery.addEventListener('change', this.evaluate);
+    window.addEventListener('resize', this.handleResize, { passive: true });
+    document.addEventListener('visibilitychange', this.evaluate);
+    document.addEventListener(PERFORMANCE_BUDGET_EVENT, this.evaluate);
+
+    // Watch what holds the layers rather than the layers themselves, whose
+    // own transforms would otherwise move them out of view and pause them.
+    // The body always intersects the viewport, so there is nothing to watch there.
+    const containers = new Set();
+    this.layers.forEach(layer => {
+      if (layer.container === document.body) {
+        this.visibleContainers.add(layer.container);
+      } else {
+        containers.add(layer.container);
+      }
+    });
+
+    if (containers.size > 0 && 'IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.visibleContainers.add(entry.target);
+          } else {
+            this.visibleContainers.delete(entry.target);
+          }
+        });
+        this.evaluate();
+      });
+      containers.forEach(container => this.observer.observe(container));
+    } else {
+      containers.forEach(container => this.visibleContainers.add(container));
     }
+
+    this.evaluate();
   }
-  
-  updateParallax() {
-    const scrolled = window.pageYOffset;
-    
-    // Only update if scroll position changed significantly
-    if (Math.abs(scrolled - this.lastScrollY) < 1) {
-      this.ticking = false;
+
+  collectLayers() {
+    const declared = Array.from(this.root.querySelectorAll('[data-parallax-speed]'));
+
+    if (declared.length > 0) {
+      return declared.map(element => this.createLayer(element, {
+        speed: parseFloat(element.dataset.parallaxSpeed) || 0,
+        axis: element.dataset.parallaxAxis || 'y',
+        easing: element.dataset.parallaxEasing,
+        tilt: element.dataset.parallaxTilt
+      }));
+    }
+
+    return LEGACY_LAYERS
+      .map(({ selector, speed }) => {
+        const element = this.root.querySelector(selector);
+        return element ? this.createLayer(element, { speed }) : null;
+      })
+      .filter(Boolean);
+  }
+
+  createLayer(element, { speed, axis = 'y', easing, tilt }) {
+    const parsedEasing = parseFloat(easing);
+
+    return {
+      element,
+      container: element.parentElement || document.body,
+      speed,
+      axis: ['x', 'y', 'xy'].includes(axis) ? axis : 'y',
+      easing: parsedEasing > 0 && parsedEasing <= 1 ? parsedEasing : 1,
+      tilt: parseFloat(tilt) || 0,
+      current: { x: 0, y: 0 }
+    };
+  }
+
+  shouldRun() {
+    return !this.motionQuery.matches
+      && !Utils.isMobile()
+      && !isStaticBackground()
+      && document.visibilityState !== 'hidden'
+      && this.visibleContainers.size > 0;
+  }
+
+  usesPointer() {
+    return this.finePointerQuery.matches && this.layers.some(layer => layer.tilt !== 0);
+  }
+
+  evaluate() {
+    if (this.shouldRun()) {
+      this.start();
+    } else {
+      // Hidden or offscreen layers keep their place; motion opt-out and a static background reset them
+      this.stop({ reset: this.motionQuery.matches || Utils.isMobile() || isStaticBackground() });
+    }
+  }
+
+  start() {
+    const wantsPointer = this.usesPointer();
+
+    if (this.running && wantsPointer === this.pointerActive) {
       return;
     }
-    
-    // Use transform3d for hardware acceleration
-    if (this.elements.layerBack) {
-      this.elements.layerBack.style.transform = `translate3d(0, ${scrolled * -0.2}px, 0)`;
+
+    if (!this.running) {
+      // Use passive listeners for better performance
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+      this.running = true;
+    }
+
+    if (wantsPointer && !this.pointerActive) {
+      window.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+    } else if (!wantsPointer && this.pointerActive) {
+      window.removeEventListener('pointermove', this.handlePointerMove);
+      this.pointer = { x: 0, y: 0 };
+    }
+    this.pointerActive = wantsPointer;
+
+    this.requestFrame();
+  }
+
+  stop({ reset = false } = {}) {
+    if (this.running) {
+      window.removeEventListener('scroll', this.handleScroll);
+      window.removeEventListener('pointermove', this.handlePointerMove);
+      this.running = false;
+      this.pointerActive = false;
+    }
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
     }
-    
-    if (this.elements.layerMid) {
-      this.elements.layerMid.style.transform = `translate3d(0, ${scrolled * -0.5}px, 0)`;
+
+    if (reset) {
+      this.layers.forEach(layer => {
+        layer.current = { x: 0, y: 0 };
+        layer.element.style.transform = '';
+      });
     }
-    
-    if (this.elements.layerFront) {
-      this.elements.layerFront.style.transform = `translate3d(0, ${scrolled * -0.8}px, 0)`;
+  }
+
+  requestFrame() {
+    if (!this.frameId) {
+      this.frameId = requestAnimationFrame(this.updateParallax);
     }
-    
-    this.lastScrollY = scrolled;
-    this.ticking = false;
   }
-  
+
+  handleScroll() {
+    this.requestFrame();
+  }
+
+  handlePointerMove(event) {
+    // -1..1 from the viewport centre
+    this.pointer = {
+      x: (event.clientX / window.innerWidth) * 2 - 1,
+      y: (event.clientY / window.innerHeight) * 2 - 1
+    };
+    this.requestFrame();
+  }
+
+  getTarget(layer, scrolled) {
+    const offset = scrolled * layer.speed;
+    const tiltX = this.pointerActive ? this.pointer.x * layer.tilt : 0;
+    const tiltY = this.pointerActive ? this.pointer.y * layer.tilt : 0;
+
+    return {
+      x: (layer.axis === 'y' ? 0 : offset) + tiltX,
+      y: (layer.axis === 'x' ? 0 : offset) + tiltY
+    };
+  }
+
+  updateParallax() {
+    this.frameId = null;
+    if (!this.running) return;
+
+    const scrolled = window.pageYOffset;
+    let settling = false;
+
+    this.layers.forEach(layer => {
+      // Offscreen layers keep their place until their container is back in view
+      if (!this.visibleContainers.has(layer.container)) return;
+
+      const target = this.getTarget(layer, scrolled);
+      const { current } = layer;
+
+      current.x += (target.x - current.x) * layer.easing;
+      current.y += (target.y - current.y) * layer.easing;
+
+      if (Math.abs(target.x - current.x) > this.options.settleThreshold || Math.abs(target.y - current.y) > this.options.settleThreshold) {
+        settling = true;
+      } else {
+        current.x = target.x;
+        current.y = target.y;
+      }
+
+      // Use transform3d for hardware acceleration
+      layer.element.style.transform = `translate3d(${current.x.toFixed(2)}px, ${current.y.toFixed(2)}px, 0)`;
+    });
+
+    // Eased layers keep animating until they reach their target
+    if (settling) {
+      this.requestFrame();
+    }
+  }
+
+  /**
+   * Snapshot for the diagnostics overlay
+   */
+  getDebugState() {
+    return {
+      running: this.running,
+      layers: this.layers.length,
+      visibleContainers: this.visibleContainers.size,
+      pointer: Boolean(this.pointerActive),
+      reducedMotion: Boolean(this.motionQuery && this.motionQuery.matches),
+      staticBackground: isStaticBackground()
+    };
+  }
+
   destroy() {
-    window.removeEventListener('scroll', this.handleScroll.bind(this));
+    if (this.layers.length === 0) return;
+
+    this.stop();
+    this.motionQuery.removeEventListener('change', this.evaluate);
+    this.finePointerQuery.removeEventListener('change', this.evaluate);
+    window.removeEventListener('resize', this.handleResize);
+    document.removeEventListener('visibilitychange', this.evaluate);
+    document.removeEventListener(PERFORMANCE_BUDGET_EVENT, this.evaluate);
+
+    if (this.observer) {
+      this.observer.disconnect();
+    }
   }
 }
 
-export default ParallaxController;
\ No newline at end of file
+export default ParallaxController;
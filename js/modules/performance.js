@@ -0,0 +1,435 @@
+/**
+ * Performance Monitor Module
+ * Real-user Core Web Vitals, long tasks and scroll jank, and a frame budget
+ * for the animated background
+ *
+ * Configured on the element carrying data-component="performance":
+ *   data-rum-endpoint  URL each page's report is beaconed to (no endpoint, no beacon)
+ *   data-rum-sample    share of visits that report, 0-1 (default 1)
+ *   data-rum-budget    frame time in ms the background may cost (default 34, 0 = off)
+ *   data-rum-debug     log reports to the console (always on for localhost)
+ *
+ * Every page view reports one page_performance event, shaped like analytics
+ * events: LCP, FCP and TTFB (full loads only), CLS, INP, long tasks and
+ * scroll frames over JANK_FRAME ms, tagged with theme, reduced motion,
+ * viewport class and background. It is sent when the page is hidden or the
+ * router leaves it; a page hidden twice reports twice with the totals so
+ * far, under the same view id.
+ *
+ * Frames are timed for a few seconds after load, while only the background
+ * moves, and while scrolling. When the median frame of the last
+ * BUDGET_WINDOW stays over budget, <html> gets data-background="static" and
+ * performance:budget is dispatched: hexagons redraw as static SVG and
+ * parallax stops, for the rest of the session.
+ *
+ * Nothing is reported when Do-Not-Track or Global Privacy Control is set;
+ * the budget still applies.
+ */
+
+import { getTheme } from './theme.js';
+import { createBeaconSink, consoleSink, trackingDisallowed } from './analytics.js';
+import { ROUTER_LEAVE_EVENT, ROUTER_ENTER_EVENT } from './router.js';
+import { log } from './logger.js';
+
+export const PERFORMANCE_BUDGET_EVENT = 'performance:budget';
+const BACKGROUND_STORAGE_KEY = 'background';
+
+const JANK_FRAME = 50;
+const BUDGET_WINDOW = 60;
+const PROBE_DURATION = 5000;
+// How long after the last scroll event frames still count as scrolling
+const SCROLL_IDLE = 500;
+// CLS sums shifts less than a second apart, in windows of at most five seconds
+const CLS_GAP = 1000;
+const CLS_WINDOW = 5000;
+// Interactions faster than this can't be the page's INP worth reporting
+const EVENT_THRESHOLD = 40;
+
+/**
+ * True once the frame budget has switched the background off, in this page or earlier in the session
+ */
+export function isStaticBackground() {
+  return document.documentElement.getAttribute('data-background') === 'static';
+}
+
+/**
+ * Viewport class for grouping reports; mobile matches Utils.isMobile()
+ */
+export function getViewportClass(width = window.innerWidth) {
+  if (width <= 768) return 'mobile';
+  return width <= 1024 ? 'tablet' : 'desktop';
+}
+
+/**
+ * INP from each interaction's longest event: the worst, skipping one outlier per 50 interactions
+ */
+export function getInteractionToNextPaint(latencies) {
+  if (latencies.length === 0) return null;
+
+  const sorted = [...latencies].sort((a, b) => b - a);
+  return sorted[Math.min(sorted.length - 1, Math.floor(latencies.length / 50))];
+}
+
+function supports(type) {
+  return 'PerformanceObserver' in window && (PerformanceObserver.supportedEntryTypes || []).includes(type);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function round(value, digits = 0) {
+  return typeof value === 'number' ? Number(value.toFixed(digits)) : null;
+}
+
+function createViewId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+class PerformanceMonitor {
+  constructor(root = document.body) {
+    const sample = parseFloat(root.dataset.rumSample);
+    const budget = parseFloat(root.dataset.rumBudget);
+
+    this.root = root;
+    this.options = {
+      endpoint: root.dataset.rumEndpoint || '',
+      sample: Number.isFinite(sample) ? sample : 1,
+      budget: Number.isFinite(budget) ? budget : 34,
+      debug: root.hasAttribute('data-rum-debug') || ['localhost', '127.0.0.1'].includes(window.location.hostname)
+    };
+
+    this.sinks = [];
+    this.observers = [];
+    this.view = null;
+    this.frames = [];
+    this.frameId = null;
+    this.lastFrame = null;
+    this.lastScroll = -Infinity;
+    this.sampleEnd = 0;
+
+    this.init();
+  }
+
+  init() {
+    this.restoreBackground();
+
+    // Sampled out visits still keep the budget; only reporting is skipped
+    if (!trackingDisallowed() && Math.random() < this.options.sample) {
+      if (this.options.endpoint) {
+        this.sinks.push(createBeaconSink(this.options.endpoint));
+      }
+      if (this.options.debug) {
+        this.sinks.push(consoleSink);
+      }
+    }
+
+    this.reporting = this.sinks.length > 0;
+    if (!this.reporting && !this.options.budget) return;
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleLeave = this.handleLeave.bind(this);
+    this.handleEnter = this.handleEnter.bind(this);
+    this.handleFirstInput = this.handleFirstInput.bind(this);
+    this.sampleFrame = this.sampleFrame.bind(this);
+
+    this.startView('load');
+
+    if (this.reporting) {
+      this.observe();
+      document.addEventListener(ROUTER_LEAVE_EVENT, this.handleLeave);
+      document.addEventListener(ROUTER_ENTER_EVENT, this.handleEnter);
+      // LCP stops at the first interaction, as in browsers' own reporting
+      ['keydown', 'pointerdown'].forEach(type => window.addEventListener(type, this.handleFirstInput, { capture: true, once: true }));
+    }
+
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.sampleUntil(performance.now() + PROBE_DURATION);
+
+    this.active = true;
+  }
+
+  restoreBackground() {
+    try {
+      if (sessionStorage.getItem(BACKGROUND_STORAGE_KEY) === 'static') {
+        document.documentElement.setAttribute('data-background', 'static');
+      }
+    } catch (e) {
+      // Storage not available; the budget is checked afresh on every load
+    }
+  }
+
+  /**
+   * Fresh counters for a page; navigation is 'load' for a full load, 'route' after the router
+   */
+  startView(navigation) {
+    this.view = {
+      id: createViewId(),
+      page: window.location.pathname,
+      navigation,
+      lcp: null,
+      lcpFinal: navigation !== 'load',
+      fcp: null,
+      ttfb: null,
+      cls: 0,
+      clsWindow: { value: 0, first: 0, last: 0 },
+      interactions: new Map(),
+      longTasks: 0,
+      longTaskTime: 0,
+      longTaskMax: 0,
+      scrollFrames: 0,
+      jankFrames: 0,
+      budgetFrameTime: null,
+      reported: null
+    };
+
+    if (navigation === 'load') {
+      const [entry] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+      if (entry) this.view.ttfb = entry.responseStart;
+    }
+  }
+
+  observe() {
+    this.addObserver('paint', entries => {
+      const entry = entries.find(item => item.name === 'first-contentful-paint');
+      if (entry && this.view.navigation === 'load') this.view.fcp = entry.startTime;
+    });
+
+    this.addObserver('largest-contentful-paint', entries => {
+      if (this.view.lcpFinal) return;
+      const entry = entries[entries.length - 1];
+      this.view.lcp = entry.renderTime || entry.startTime;
+    });
+
+    this.addObserver('layout-shift', entries => entries.forEach(entry => {
+      if (!entry.hadRecentInput) this.addLayoutShift(entry);
+    }));
+
+    this.addObserver('event', entries => entries.forEach(entry => {
+      if (!entry.interactionId) return;
+      const { interactions } = this.view;
+      interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+    }), { durationThreshold: EVENT_THRESHOLD });
+
+    this.addObserver('longtask', entries => entries.forEach(entry => {
+      this.view.longTasks++;
+      this.view.longTaskTime += entry.duration;
+      this.view.longTaskMax = Math.max(this.view.longTaskMax, entry.duration);
+    }));
+  }
+
+  addObserver(type, callback, options = {}) {
+    if (!supports(type)) return;
+
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      log.warn(`Performance: can't observe ${type}`, { error });
+    }
+  }
+
+  // CLS is the largest window of shifts, not the page's running total
+  addLayoutShift(entry) {
+    const { view } = this;
+    const current = view.clsWindow;
+
+    if (current.value > 0 && entry.startTime - current.last < CLS_GAP && entry.startTime - current.first < CLS_WINDOW) {
+      current.value += entry.value;
+      current.last = entry.startTime;
+    } else {
+      view.clsWindow = { value: entry.value, first: entry.startTime, last: entry.startTime };
+    }
+
+    view.cls = Math.max(view.cls, view.clsWindow.value);
+  }
+
+  handleFirstInput() {
+    this.view.lcpFinal = true;
+  }
+
+  handleScroll() {
+    this.lastScroll = performance.now();
+    this.sampleUntil(this.lastScroll + SCROLL_IDLE);
+  }
+
+  /**
+   * Time frames until the given moment; a running sampler is extended
+   */
+  sampleUntil(time) {
+    this.sampleEnd = Math.max(this.sampleEnd, time);
+
+    if (!this.frameId && document.visibilityState !== 'hidden') {
+      this.lastFrame = null;
+      this.frameId = requestAnimationFrame(this.sampleFrame);
+    }
+  }
+
+  sampleFrame(now) {
+    this.frameId = null;
+
+    if (this.lastFrame !== null) {
+      this.recordFrame(now - this.lastFrame, now - this.lastScroll <= SCROLL_IDLE);
+    }
+    this.lastFrame = now;
+
+    if (now < this.sampleEnd) {
+      this.frameId = requestAnimationFrame(this.sampleFrame);
+    }
+  }
+
+  stopSampling() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    // Frames either side of a pause aren't consecutive
+    this.frames = [];
+  }
+
+  recordFrame(duration, scrolling) {
+    if (scrolling) {
+      this.view.scrollFrames++;
+      if (duration > JANK_FRAME) this.view.jankFrames++;
+    }
+
+    if (!this.options.budget || isStaticBackground()) return;
+
+    this.frames.push(duration);
+    if (this.frames.length > BUDGET_WINDOW) this.frames.shift();
+
+    if (this.frames.length === BUDGET_WINDOW) {
+      const frameTime = median(this.frames);
+      if (frameTime > this.options.budget) this.useStaticBackground(frameTime);
+    }
+  }
+
+  useStaticBackground(frameTime) {
+    document.documentElement.setAttribute('data-background', 'static');
+    this.view.budgetFrameTime = frameTime;
+    this.frames = [];
+
+    try {
+      sessionStorage.setItem(BACKGROUND_STORAGE_KEY, 'static');
+    } catch (e) {
+      // Storage not available; only this page stays static
+    }
+
+    document.dispatchEvent(new CustomEvent(PERFORMANCE_BUDGET_EVENT, {
+      detail: { frameTime, budget: this.options.budget }
+    }));
+  }
+
+  getTags() {
+    const { theme, palette } = getTheme();
+
+    return {
+      theme,
+      palette: palette || null,
+      reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+      viewport: getViewportClass(),
+      background: isStaticBackground() ? 'static' : 'animated'
+    };
+  }
+
+  report() {
+    if (!this.reporting) return;
+
+    const { view } = this;
+    view.lcpFinal = true;
+
+    const event = {
+      name: 'page_performance',
+      props: {
+        view: view.id,
+        navigation: view.navigation,
+        lcp: round(view.lcp),
+        fcp: round(view.fcp),
+        ttfb: round(view.ttfb),
+        cls: round(view.cls, 3),
+        inp: round(getInteractionToNextPaint(Array.from(view.interactions.values()))),
+        longTasks: view.longTasks,
+        longTaskTime: round(view.longTaskTime),
+        longTaskMax: round(view.longTaskMax),
+        scrollFrames: view.scrollFrames,
+        jankFrames: view.jankFrames,
+        budgetFrameTime: round(view.budgetFrameTime, 1),
+        ...this.getTags()
+      },
+      page: view.page,
+      ts: Date.now()
+    };
+
+    // Hiding and then unloading would otherwise send the same numbers twice
+    const signature = JSON.stringify(event.props);
+    if (signature === view.reported) return;
+    view.reported = signature;
+
+    this.sinks.forEach(sink => {
+      try {
+        sink.send([event]);
+      } catch (error) {
+        log.warn(`Performance sink "${sink.name || 'anonymous'}" failed`, { error });
+      }
+    });
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.stopSampling();
+      this.report();
+    }
+  }
+
+  // The router swaps pages without unloading, so each page is reported here
+  handleLeave() {
+    this.report();
+    this.startView('route');
+  }
+
+  handleEnter() {
+    this.view.page = window.location.pathname;
+    this.sampleUntil(performance.now() + PROBE_DURATION);
+  }
+
+  /**
+   * Snapshot for the diagnostics overlay
+   */
+  getDebugState() {
+    if (!this.view) return { reporting: false, budget: 'off' };
+
+    return {
+      reporting: this.reporting,
+      budget: this.options.budget ? `${this.options.budget}ms` : 'off',
+      background: isStaticBackground() ? 'static' : 'animated',
+      cls: round(this.view.cls, 3),
+      longTasks: this.view.longTasks,
+      jankFrames: `${this.view.jankFrames}/${this.view.scrollFrames}`
+    };
+  }
+
+  destroy() {
+    if (!this.active) return;
+
+    this.stopSampling();
+    this.report();
+
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+
+    window.removeEventListener('scroll', this.handleScroll);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    document.removeEventListener(ROUTER_LEAVE_EVENT, this.handleLeave);
+    document.removeEventListener(ROUTER_ENTER_EVENT, this.handleEnter);
+    ['keydown', 'pointerdown'].forEach(type => window.removeEventListener(type, this.handleFirstInput, { capture: true }));
+
+    this.active = false;
+  }
+}
+
+export default PerformanceMonitor;
@@ -0,0 +1,121 @@
+/**
+ * Component Registry
+ * Mounts controllers for elements that declare data-component="name"
+ */
+
+import { log } from './logger.js';
+
+export class ComponentRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this.instances = [];
+  }
+
+  /**
+   * Register a component
+   * load() returns the module (usually via dynamic import) whose default export
+   * is a class constructed as new Component(element, registry). Components read
+   * their settings from the element's data attributes, never from that argument.
+   * Lower order mounts first and is destroyed last.
+   */
+  register(name, load, { order = 50 } = {}) {
+    this.definitions.set(name, { name, load, order });
+    return this;
+  }
+
+  /**
+   * Find every [data-component] element under root, in mount order
+   */
+  collect(root = document) {
+    const found = [];
+    const elements = [];
+
+    if (root.nodeType === Node.ELEMENT_NODE && root.hasAttribute('data-component')) {
+      elements.push(root);
+    }
+    elements.push(...root.querySelectorAll('[data-component]'));
+
+    elements.forEach((element, position) => {
+      element.dataset.component.split(/\s+/).filter(Boolean).forEach(name => {
+        const definition = this.definitions.get(name);
+
+        if (!definition) {
+          log.warn(`No component registered for data-component="${name}"`, { kind: 'unknown-component', component: name });
+          return;
+        }
+
+        found.push({ definition, element, position });
+      });
+    });
+
+    return found.sort((a, b) => a.definition.order - b.definition.order || a.position - b.position);
+  }
+
+  isMounted(name, element) {
+    return this.instances.some(entry => entry.name === name && entry.element === element);
+  }
+
+  /**
+   * Load and instantiate components under root
+   * Modules are only fetched when a matching element is on the page.
+   */
+  async mount(root = document) {
+    const pending = this.collect(root).filter(({ definition, element }) => !this.isMounted(definition.name, element));
+
+    // Fetch modules in parallel, but construct strictly in order
+    const modules = await Promise.all(pending.map(({ definition }) =>
+      definition.load().catch(error => {
+        log.error(`Failed to load component "${definition.name}"`, { component: definition.name, error });
+        return null;
+      })
+    ));
+
+    pending.forEach(({ definition, element }, index) => {
+      const module = modules[index];
+      if (!module || this.isMounted(definition.name, element)) return;
+
+      const Component = module.default || module;
+
+      try {
+        const instance = new Component(element, this);
+        this.instances.push({ name: definition.name, order: definition.order, element, instance });
+      } catch (error) {
+        log.error(`Failed to initialize component "${definition.name}"`, { component: definition.name, error });
+      }
+    });
+
+    return this.instances;
+  }
+
+  /**
+   * Destroy components under root (all components by default), last mounted first
+   */
+  destroy(root = document) {
+    const targets = this.instances
+      .filter(entry => root === document || root === entry.element || root.contains(entry.element))
+      .reverse()
+      .sort((a, b) => b.order - a.order);
+
+    targets.forEach(entry => {
+      try {
+        if (typeof entry.instance.destroy === 'function') {
+          entry.instance.destroy();
+        }
+      } catch (error) {
+        log.error(`Failed to destroy component "${entry.name}"`, { component: entry.name, error });
+      }
+    });
+
+    this.instances = this.instances.filter(entry => !targets.includes(entry));
+  }
+
+  /**
+   * Look up a mounted instance by component name
+   */
+  get(name) {
+    const entry = this.instances.find(item => item.name === name);
+    return entry ? entry.instance : null;
+  }
+}
+
+export default ComponentRegistry;
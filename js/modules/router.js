@@ -0,0 +1,351 @@
+/**
+ * Router Module
+ * Same-origin page changes without a full reload
+ *
+ * Links to other pages of the site are fetched and only what differs between
+ * pages is replaced: .content, the header (its links vary per page) and the
+ * title/meta tags in <head>. The background, theme and language pickers and
+ * the body-level components (analytics, hexagons, parallax) keep running.
+ * Components inside .content are destroyed before the swap and mounted again
+ * from the new markup, so each page's controllers start fresh.
+ *
+ * Skipped, and left to the browser: modified or non-primary clicks, links
+ * with target, download or data-router-ignore, other origins, hash-only
+ * changes and anything that doesn't come back as a page with a .content.
+ *
+ * Events on document:
+ *   router:navigate  dispatch to request a navigation ({ url }); cancelled when
+ *                    the router takes it, so callers fall back to location.assign
+ *   router:leave     the current page is about to be replaced ({ from, to })
+ *   router:enter     the new page is mounted ({ url, previous })
+ */
+
+import { translateElements } from './i18n.js';
+import { log } from './logger.js';
+
+export const ROUTER_NAVIGATE_EVENT = 'router:navigate';
+export const ROUTER_LEAVE_EVENT = 'router:leave';
+export const ROUTER_ENTER_EVENT = 'router:enter';
+
+const CONTENT_SELECTOR = '.content';
+const HEADER_SELECTOR = 'header.header';
+// Head elements that describe the page rather than the site
+const HEAD_SELECTOR = [
+  'meta[name="description"]',
+  'meta[name="keywords"]',
+  'meta[name="author"]',
+  'meta[name="robots"]',
+  'meta[property^="og:"]',
+  'meta[name^="twitter:"]',
+  'link[rel="canonical"]',
+  'script[type="application/ld+json"]'
+].join(', ');
+
+/**
+ * The links a header offers, which unlike its text doesn't change with the locale
+ */
+function linkSignature(element) {
+  return Array.from(element.querySelectorAll('a'), link => `${link.getAttribute('href')} ${link.className}`).join('|');
+}
+
+/**
+ * Ask the router to navigate; falls back to a normal page load without one
+ */
+export function navigate(url) {
+  const request = new CustomEvent(ROUTER_NAVIGATE_EVENT, { cancelable: true, detail: { url } });
+
+  if (document.dispatchEvent(request)) {
+    window.location.assign(url);
+  }
+}
+
+class Router {
+  constructor(root, registry) {
+    this.root = root;
+    this.registry = registry;
+    this.cache = new Map();
+    this.navigation = 0;
+    this.currentPath = window.location.pathname;
+
+    this.init();
+  }
+
+  init() {
+    if (!window.history || !window.history.pushState || !window.DOMParser) return;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleNavigateRequest = this.handleNavigateRequest.bind(this);
+
+    // We put the scroll position back ourselves once the content is in place
+    this.previousScrollRestoration = history.scrollRestoration;
+    history.scrollRestoration = 'manual';
+
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    document.addEventListener('click', this.handleClick);
+    document.addEventListener(ROUTER_NAVIGATE_EVENT, this.handleNavigateRequest);
+    window.addEventListener('popstate', this.handlePopState);
+
+    this.active = true;
+  }
+
+  /**
+   * URL of a link the router should handle, or null to leave it to the browser
+   */
+  getRoutableUrl(link) {
+    if (!link || !link.hasAttribute('href')) return null;
+    if (link.hasAttribute('download') || link.hasAttribute('data-router-ignore')) return null;
+    if (link.target && link.target !== '_self') return null;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    // Files rather than pages (/data/team.json, /images/logo.png, ...)
+    if (/\.(?!html?$)[a-z0-9]+$/i.test(url.pathname)) return null;
+
+    return url;
+  }
+
+  handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const url = this.getRoutableUrl(event.target.closest('a'));
+    if (!url) return;
+
+    // Same page: let the browser (and the hash-aware components) handle it
+    if (url.pathname === window.location.pathname && url.search === window.location.search) return;
+
+    event.preventDefault();
+    this.go(url);
+  }
+
+  handleNavigateRequest(event) {
+    const url = new URL(event.detail.url, window.location.href);
+    if (url.origin !== window.location.origin) return;
+
+    event.preventDefault();
+    this.go(url);
+  }
+
+  async handlePopState() {
+    // Hash steps within a page (wizard steps, FAQ and team deep links) aren't page changes
+    if (window.location.pathname === this.currentPath) return;
+
+    const scrollY = history.state && typeof history.state.scrollY === 'number' ? history.state.scrollY : 0;
+
+    // The address bar already shows the page we couldn't swap in
+    try {
+      if (await this.load(new URL(window.location.href), { scrollY }) === false) {
+        window.location.reload();
+      }
+    } catch (error) {
+      log.error('Router: page change failed', { url: window.location.pathname, error });
+      window.location.reload();
+    }
+  }
+
+  saveScroll() {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }
+
+  async go(url) {
+    this.saveScroll();
+
+    try {
+      const loaded = await this.load(url, {
+        beforeSwap: () => history.pushState({ scrollY: 0 }, '', url.pathname + url.search + url.hash)
+      });
+
+      if (loaded === false) {
+        window.location.assign(url.href);
+      }
+    } catch (error) {
+      // The swap itself failed part way; a full load of the page still works
+      log.error('Router: page change failed', { url: url.pathname, error });
+      window.location.assign(url.href);
+    }
+  }
+
+  /**
+   * Fetch a page and swap it in
+   * Resolves false when the page can't be shown this way; a newer navigation
+   * that overtakes this one makes it resolve without doing anything.
+   */
+  async load(url, { scrollY = null, beforeSwap = () => {} } = {}) {
+    const navigation = ++this.navigation;
+    let page;
+
+    try {
+      page = await this.fetchPage(url);
+    } catch (error) {
+      log.warn('Router: falling back to a full page load', { url: url.pathname, error });
+      return false;
+    }
+
+    if (navigation !== this.navigation) return true;
+    if (!page.querySelector(CONTENT_SELECTOR)) return false;
+
+    const previous = this.currentPath;
+    document.dispatchEvent(new CustomEvent(ROUTER_LEAVE_EVENT, {
+      detail: { from: previous, to: url.pathname }
+    }));
+
+    beforeSwap();
+    this.currentPath = url.pathname;
+
+    await this.transition(() => this.swap(page));
+
+    this.restoreScroll(url, scrollY);
+    this.focusContent();
+
+    document.dispatchEvent(new CustomEvent(ROUTER_ENTER_EVENT, {
+      detail: { url: url.pathname, previous }
+    }));
+
+    return true;
+  }
+
+  /**
+   * Fetch and parse a page; successful responses are kept for back/forward
+   * Only when they are the page asked for: offline, the service worker answers
+   * with its fallback page (a 200 from /offline), which mustn't stand in for
+   * this URL once the connection is back.
+   */
+  async fetchPage(url) {
+    const key = url.pathname + url.search;
+    let html = this.cache.get(key);
+
+    if (html === undefined) {
+      const response = await fetch(key, { headers: { 'Accept': 'text/html' } });
+      const type = response.headers.get('Content-Type') || '';
+
+      // The 404 page is still a page worth showing
+      if ((!response.ok && response.status !== 404) || !type.includes('text/html')) {
+        throw new Error(`Unexpected response for ${key}: ${response.status} ${type}`);
+      }
+
+      html = await response.text();
+
+      const served = response.url ? new URL(response.url) : null;
+      if (response.ok && (!served || served.pathname + served.search === key)) {
+        this.cache.set(key, html);
+      }
+    }
+
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  /**
+   * Run the DOM update inside a view transition where the browser has them
+   */
+  async transition(update) {
+    if (!document.startViewTransition || this.motionQuery.matches) {
+      await update();
+      return;
+    }
+
+    const viewTransition = document.startViewTransition(update);
+    try {
+      await viewTransition.updateCallbackDone;
+    } catch (error) {
+      // The update itself failed; nothing more to undo here
+      log.error('Router: page update failed', { error });
+    }
+  }
+
+  async swap(page) {
+    const content = document.querySelector(CONTENT_SELECTOR);
+    const nextContent = document.importNode(page.querySelector(CONTENT_SELECTOR), true);
+
+    this.registry.destroy(content);
+    content.replaceWith(nextContent);
+
+    const header = document.querySelector(HEADER_SELECTOR);
+    const nextHeader = page.querySelector(HEADER_SELECTOR);
+    if (header && nextHeader && linkSignature(header) !== linkSignature(nextHeader)) {
+      const imported = document.importNode(nextHeader, true);
+      header.replaceWith(imported);
+      translateElements(imported);
+    }
+
+    this.updateHead(page);
+
+    // Arrives in English; bring it into the visitor's language before it shows
+    translateElements(document.head);
+    translateElements(nextContent);
+
+    await this.registry.mount(nextContent);
+  }
+
+  updateHead(page) {
+    const title = document.querySelector('title');
+    const nextTitle = page.querySelector('title');
+
+    if (title && nextTitle) {
+      title.replaceWith(document.importNode(nextTitle, true));
+    } else if (nextTitle) {
+      document.title = nextTitle.textContent;
+    }
+
+    // New tags go where the old ones were, ahead of the stylesheet and icons
+    const current = Array.from(document.head.querySelectorAll(HEAD_SELECTOR));
+    let insertAfter = document.querySelector('title');
+
+    page.head.querySelectorAll(HEAD_SELECTOR).forEach(element => {
+      const imported = document.importNode(element, true);
+      if (insertAfter) {
+        insertAfter.after(imported);
+      } else {
+        document.head.appendChild(imported);
+      }
+      insertAfter = imported;
+    });
+
+    current.forEach(element => element.remove());
+  }
+
+  restoreScroll(url, scrollY) {
+    if (scrollY !== null) {
+      window.scrollTo(0, scrollY);
+      return;
+    }
+
+    const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }
+
+  // Screen readers otherwise stay on the link that no longer exists
+  focusContent() {
+    const content = document.querySelector(CONTENT_SELECTOR);
+    if (!content) return;
+
+    const heading = content.querySelector('h1');
+    const target = heading || content;
+    target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  }
+
+  destroy() {
+    if (!this.active) return;
+
+    document.removeEventListener('click', this.handleClick);
+    document.removeEventListener(ROUTER_NAVIGATE_EVENT, this.handleNavigateRequest);
+    window.removeEventListener('popstate', this.handlePopState);
+
+    // Leaving for good (pagehide): let the browser restore this entry natively
+    this.saveScroll();
+    history.scrollRestoration = this.previousScrollRestoration;
+
+    this.navigation += 1;
+    this.active = false;
+  }
+}
+
+export default Router;
@@ -0,0 +1,146 @@
+/**
+ * Service Worker Module
+ * Registers /sw.js and offers a reload once a new deploy has been installed
+ *
+ * The element carrying data-component="service-worker" is the prompt itself,
+ * hidden until a new worker is waiting:
+ *   [data-sw-reload]    hands over to the new version and reloads the page
+ *   [data-sw-dismiss]   hides the prompt until the next update
+ *   data-sw-src         worker URL (default /sw.js)
+ *
+ * The page is only reloaded for a handover the visitor asked for here; one
+ * started from another tab leaves this page (and any form in it) alone.
+ * Updates are checked for on router page changes and when the tab comes back,
+ * since a routed session may never load a page the browser would check on.
+ */
+
+import { ROUTER_ENTER_EVENT } from './router.js';
+import { log } from './logger.js';
+
+export const SW_UPDATE_EVENT = 'sw:update';
+
+const DEFAULT_SRC = '/sw.js';
+
+class ServiceWorkerController {
+  constructor(prompt) {
+    this.prompt = prompt;
+    this.src = prompt.dataset.swSrc || DEFAULT_SRC;
+    this.reloadButton = prompt.querySelector('[data-sw-reload]');
+    this.dismissButton = prompt.querySelector('[data-sw-dismiss]');
+    this.registration = null;
+    this.waiting = null;
+    this.reloading = false;
+
+    this.init();
+  }
+
+  init() {
+    if (!('serviceWorker' in navigator)) return;
+
+    this.handleReload = this.handleReload.bind(this);
+    this.handleDismiss = this.handleDismiss.bind(this);
+    this.handleUpdateFound = this.handleUpdateFound.bind(this);
+    this.handleControllerChange = this.handleControllerChange.bind(this);
+    this.checkForUpdate = this.checkForUpdate.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+    if (this.reloadButton) this.reloadButton.addEventListener('click', this.handleReload);
+    if (this.dismissButton) this.dismissButton.addEventListener('click', this.handleDismiss);
+    navigator.serviceWorker.addEventListener('controllerchange', this.handleControllerChange);
+    document.addEventListener(ROUTER_ENTER_EVENT, this.checkForUpdate);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.active = true;
+    this.register();
+  }
+
+  async register() {
+    try {
+      this.registration = await navigator.serviceWorker.register(this.src);
+    } catch (error) {
+      log.warn('Service worker registration failed', { error });
+      return;
+    }
+
+    if (!this.active) return;
+
+    // Installed while an earlier visit was still open
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.showPrompt(this.registration.waiting);
+    }
+
+    this.registration.addEventListener('updatefound', this.handleUpdateFound);
+  }
+
+  handleUpdateFound() {
+    const worker = this.registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller && this.active) {
+        this.showPrompt(worker);
+      }
+    });
+  }
+
+  showPrompt(worker) {
+    this.waiting = worker;
+    this.prompt.hidden = false;
+
+    this.prompt.dispatchEvent(new CustomEvent(SW_UPDATE_EVENT, {
+      bubbles: true,
+      detail: { state: 'waiting' }
+    }));
+  }
+
+  handleReload() {
+    if (!this.waiting) return;
+
+    this.reloading = true;
+    this.reloadButton.disabled = true;
+    this.waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  handleDismiss() {
+    this.prompt.hidden = true;
+  }
+
+  handleControllerChange() {
+    if (this.reloading) {
+      window.location.reload();
+    }
+  }
+
+  checkForUpdate() {
+    if (!this.registration) return;
+
+    this.registration.update().catch(() => {
+      // Offline or the worker moved; the next check will try again
+    });
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+      this.checkForUpdate();
+    }
+  }
+
+  destroy() {
+    if (!this.active) return;
+
+    if (this.reloadButton) this.reloadButton.removeEventListener('click', this.handleReload);
+    if (this.dismissButton) this.dismissButton.removeEventListener('click', this.handleDismiss);
+    navigator.serviceWorker.removeEventListener('controllerchange', this.handleControllerChange);
+    document.removeEventListener(ROUTER_ENTER_EVENT, this.checkForUpdate);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+    if (this.registration) {
+      this.registration.removeEventListener('updatefound', this.handleUpdateFound);
+    }
+
+    this.active = false;
+  }
+}
+
+export default ServiceWorkerController;
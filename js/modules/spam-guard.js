@@ -0,0 +1,187 @@
+/**
+ * Spam Guard Module
+ * Honeypot, timing, textarea heuristics and proof-of-work for form submissions
+ *
+ * Thresholds come from the form (content form.spam), each with a default:
+ *   data-spam-min-seconds       quicker submits count as tooFast (30)
+ *   data-spam-max-links         more links in one answer count as linkStuffed (3)
+ *   data-spam-bulk-paste-chars  pasted without typing counts as bulkPaste (1500)
+ *   data-spam-flag-score        score flagged via _spam_score (3)
+ *   data-spam-block-score       score refused outright (8)
+ *   data-spam-pow-difficulty    leading zero bits the proof-of-work needs (12)
+ */
+
+// 0 is a real setting (e.g. no minimum time), so only a missing or malformed value falls back
+function readNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+class SpamGuard {
+  constructor(form, options = {}) {
+    const dataset = form.dataset;
+    
+    this.form = form;
+    this.options = {
+      honeypotName: '_gotcha',
+      minSeconds: readNumber(dataset.spamMinSeconds, 30),
+      maxLinks: readNumber(dataset.spamMaxLinks, 3),
+      bulkPasteChars: readNumber(dataset.spamBulkPasteChars, 1500),
+      // Score at which the submission is flagged via _spam_score / refused outright
+      flagScore: readNumber(dataset.spamFlagScore, 3),
+      blockScore: readNumber(dataset.spamBlockScore, 8),
+      powDifficulty: readNumber(dataset.spamPowDifficulty, 12),
+      weights: {
+        honeypot: 10,
+        tooFast: 4,
+        linkStuffed: 3,
+        bulkPaste: 1,
+        noPow: 2
+      },
+      ...options
+    };
+    
+    this.startedAt = Date.now();
+    this.pastedChars = {};
+    this.typedFields = new Set();
+    
+    this.init();
+  }
+  
+  init() {
+    this.handlePaste = this.handlePaste.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    
+    this.form.addEventListener('paste', this.handlePaste);
+    this.form.addEventListener('keydown', this.handleKeydown);
+  }
+  
+  handlePaste(event) {
+    const field = event.target;
+    if (field.tagName !== 'TEXTAREA' || !event.clipboardData) return;
+    
+    const pasted = event.clipboardData.getData('text').length;
+    this.pastedChars[field.name] = (this.pastedChars[field.name] || 0) + pasted;
+  }
+  
+  handleKeydown(event) {
+    if (event.target.name && event.key && event.key.length === 1) {
+      this.typedFields.add(event.target.name);
+    }
+  }
+  
+  countLinks(value) {
+    return (String(value).match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+  }
+  
+  // Each signal contributes its weight to the score; names go along for review
+  collectSignals({ resumed = false } = {}) {
+    const { options } = this;
+    const signals = [];
+    const honeypot = this.form.elements.namedItem(options.honeypotName);
+    
+    if (honeypot && honeypot.value.trim() !== '') {
+      signals.push('honeypot');
+    }
+    
+    // A restored draft legitimately reaches submit quickly
+    if (!resumed && (Date.now() - this.startedAt) / 1000 < options.minSeconds) {
+      signals.push('tooFast');
+    }
+    
+    this.form.querySelectorAll('textarea').forEach(textarea => {
+      if (this.countLinks(textarea.value) > options.maxLinks) {
+        signals.push(`linkStuffed:${textarea.name}`);
+      }
+      
+      // Pasted a whole answer in without typing a single character into it
+      if ((this.pastedChars[textarea.name] || 0) >= options.bulkPasteChars && !this.typedFields.has(textarea.name)) {
+        signals.push(`bulkPaste:${textarea.name}`);
+      }
+    });
+    
+    return signals;
+  }
+  
+  scoreSignals(signals) {
+    return signals.reduce((score, signal) => score + (this.options.weights[signal.split(':')[0]] || 0), 0);
+  }
+  
+  async sha256Hex(text) {
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  hasLeadingZeroBits(hex, bits) {
+    const fullNibbles = Math.floor(bits / 4);
+    if (!/^0*$/.test(hex.slice(0, fullNibbles))) return false;
+    
+    const remainder = bits % 4;
+    return remainder === 0 || parseInt(hex[fullNibbles], 16) < (1 << (4 - remainder));
+  }
+  
+  // Find a nonce whose SHA-256 with the challenge starts with powDifficulty zero bits
+  async solveProofOfWork() {
+    if (!window.crypto || !crypto.subtle || typeof TextEncoder !== 'function') {
+      return null;
+    }
+    
+    const challenge = `${this.startedAt}.${Math.random().toString(36).slice(2)}`;
+    
+    for (let nonce = 0; nonce < 1e7; nonce++) {
+      const hash = await this.sha256Hex(`${challenge}:${nonce}`);
+      if (this.hasLeadingZeroBits(hash, this.options.powDifficulty)) {
+        return `${challenge}:${nonce}:${this.options.powDifficulty}`;
+      }
+    }
+    
+    return null;
+  }
+  
+  setHiddenField(name, value) {
+    let input = this.form.querySelector(`input[type="hidden"][name="${name}"]`);
+    
+    if (!input) {
+      input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      this.form.appendChild(input);
+    }
+    
+    input.value = value;
+  }
+  
+  /**
+   * Score the submission and write _spam_score, _spam_signals and _pow hidden fields.
+   * Returns { score, signals, flagged, blocked }.
+   */
+  async inspect(context = {}) {
+    // A proof-of-work that throws (e.g. crypto.subtle refusing) counts as none: flagged, not blocked
+    const pow = await this.solveProofOfWork().catch(() => null);
+    const signals = this.collectSignals(context);
+    
+    if (!pow) {
+      signals.push('noPow');
+    }
+    
+    const score = this.scoreSignals(signals);
+    
+    this.setHiddenField('_spam_score', String(score));
+    this.setHiddenField('_spam_signals', signals.join(','));
+    this.setHiddenField('_pow', pow || '');
+    
+    return {
+      score,
+      signals,
+      flagged: score >= this.options.flagScore,
+      blocked: score >= this.options.blockScore
+    };
+  }
+  
+  destroy() {
+    this.form.removeEventListener('paste', this.handlePaste);
+    this.form.removeEventListener('keydown', this.handleKeydown);
+  }
+}
+
+export default SpamGuard;
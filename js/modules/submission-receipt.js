@@ -0,0 +1,283 @@
+/**
+ * Submission Receipt Module
+ * Hands a copy of a sent application to the thank-you page and shows it there
+ *
+ * The contact form stamps a reference on each submission (a hidden
+ * "reference" field, so it reaches us with the answers), then stores the
+ * receipt in sessionStorage: this tab only, and only for RECEIPT_MAX_AGE
+ * minutes. The thank-you page reads it once and removes it straight away;
+ * after that the receipt lives only in the page, ready to download as
+ * Markdown or JSON, or to print (or save as PDF) on its own.
+ *
+ * Receipts keep the labels and section titles the founder saw, in their
+ * language at the time, and option labels rather than option values.
+ *
+ * Markup on the thank-you page, inside [data-component="submission-receipt"]
+ * (hidden until there is a receipt to show):
+ *   [data-receipt-reference]  [data-receipt-date]  [data-receipt-body]
+ *   [data-receipt-download="markdown|json"]  [data-receipt-print]
+ */
+
+import { Utils } from './utils.js';
+import { t, getLocale, onLocaleChange } from './i18n.js';
+import { track } from './analytics.js';
+
+export const RECEIPT_STORAGE_KEY = 'contact-receipt';
+const RECEIPT_MAX_AGE = 30;
+const PRINT_CLASS = 'print-receipt';
+// No 0/O or 1/I, so a reference read out over the phone survives
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function randomCode(length) {
+  const values = new Uint32Array(length);
+  if (window.crypto && window.crypto.getRandomValues) {
+    window.crypto.getRandomValues(values);
+  } else {
+    values.forEach((value, index) => { values[index] = Math.floor(Math.random() * 2 ** 32); });
+  }
+  return Array.from(values, value => REFERENCE_ALPHABET[value % REFERENCE_ALPHABET.length]).join('');
+}
+
+/**
+ * SL-YYMMDD-XXXXX: the date makes references easy to find in the inbox
+ */
+export function createReference(date = new Date()) {
+  const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+  return `SL-${day}-${randomCode(5)}`;
+}
+
+/**
+ * Give the form a fresh reference in its hidden "reference" field
+ */
+export function stampReference(form) {
+  let input = form.querySelector('input[type="hidden"][name="reference"]');
+
+  if (!input) {
+    input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'reference';
+    form.appendChild(input);
+  }
+
+  input.value = createReference();
+  return input.value;
+}
+
+function labelFor(field) {
+  const label = field.id ? field.form.querySelector(`label[for="${field.id}"]`) : null;
+  const text = label ? (label.querySelector('span') || label).textContent : field.name;
+  return text.replace(/\s*\*\s*$/, '').trim();
+}
+
+function displayValue(field, value) {
+  if (field.tagName === 'SELECT') {
+    const option = Array.from(field.options).find(item => item.value === value);
+    return option ? option.textContent.trim() : value;
+  }
+  return value;
+}
+
+/**
+ * Build a receipt from the submitted data, grouped by the form's sections
+ * Unanswered fields and configuration (_subject, hidden fields) are left out.
+ */
+export function createReceipt(form, data) {
+  const sections = [];
+  const bySection = new Map();
+
+  Array.from(form.elements)
+    .filter(field => field.name && !field.name.startsWith('_') && !['hidden', 'file', 'password', 'submit', 'button'].includes(field.type))
+    .forEach(field => {
+      const value = typeof data[field.name] === 'string' ? data[field.name].trim() : '';
+      if (!value) return;
+
+      const container = field.closest('section') || form;
+      if (!bySection.has(container)) {
+        const heading = container.querySelector('.section-header h3, h2, h3');
+        const section = { title: heading ? heading.textContent.trim() : '', fields: [] };
+        bySection.set(container, section);
+        sections.push(section);
+      }
+
+      bySection.get(container).fields.push({ name: field.name, label: labelFor(field), value: displayValue(field, value) });
+    });
+
+  const submittedAt = Date.now();
+
+  return {
+    reference: data.reference || createReference(),
+    submittedAt,
+    expiresAt: submittedAt + RECEIPT_MAX_AGE * 60 * 1000,
+    locale: getLocale(),
+    sections
+  };
+}
+
+export function storeReceipt(receipt) {
+  try {
+    sessionStorage.setItem(RECEIPT_STORAGE_KEY, JSON.stringify(receipt));
+  } catch (e) {
+    // Storage not available; the thank-you page simply shows no receipt
+  }
+}
+
+/**
+ * Take the stored receipt, removing it whether or not it is still valid
+ */
+export function takeReceipt() {
+  let receipt = null;
+
+  try {
+    const raw = sessionStorage.getItem(RECEIPT_STORAGE_KEY);
+    sessionStorage.removeItem(RECEIPT_STORAGE_KEY);
+    receipt = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+
+  if (!receipt || !Array.isArray(receipt.sections) || Date.now() > receipt.expiresAt) {
+    return null;
+  }
+  return receipt;
+}
+
+function formatDate(timestamp) {
+  try {
+    return new Date(timestamp).toLocaleString(getLocale(), { dateStyle: 'long', timeStyle: 'short' });
+  } catch (e) {
+    return new Date(timestamp).toLocaleString();
+  }
+}
+
+export function toMarkdown(receipt) {
+  const lines = [
+    `# ${t('receipt.title')}`,
+    '',
+    `- **${t('receipt.reference')}:** ${receipt.reference}`,
+    `- **${t('receipt.submitted')}:** ${formatDate(receipt.submittedAt)}`
+  ];
+
+  receipt.sections.forEach(section => {
+    lines.push('', `## ${section.title}`);
+    section.fields.forEach(field => {
+      lines.push('', `**${field.label}**`, '', field.value);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+export function toJson(receipt) {
+  const { reference, submittedAt, locale, sections } = receipt;
+  return JSON.stringify({ reference, submittedAt: new Date(submittedAt).toISOString(), locale, sections }, null, 2) + '\n';
+}
+
+const FORMATS = {
+  markdown: { extension: 'md', type: 'text/markdown;charset=utf-8', serialize: toMarkdown },
+  json: { extension: 'json', type: 'application/json', serialize: toJson }
+};
+
+class SubmissionReceipt {
+  constructor(element) {
+    this.element = element;
+    this.receipt = takeReceipt();
+
+    this.init();
+  }
+
+  init() {
+    if (!this.receipt) return;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleAfterPrint = this.handleAfterPrint.bind(this);
+    this.renderDate = this.renderDate.bind(this);
+
+    this.render();
+    this.element.hidden = false;
+
+    this.element.addEventListener('click', this.handleClick);
+    window.addEventListener('afterprint', this.handleAfterPrint);
+    this.unsubscribeLocale = onLocaleChange(this.renderDate);
+  }
+
+  render() {
+    const reference = this.element.querySelector('[data-receipt-reference]');
+    if (reference) reference.textContent = this.receipt.reference;
+    this.renderDate();
+
+    const body = this.element.querySelector('[data-receipt-body]');
+    if (!body) return;
+
+    body.textContent = '';
+    this.receipt.sections.forEach(section => {
+      const group = document.createElement('section');
+      group.className = 'receipt-section';
+
+      const title = document.createElement('h3');
+      title.textContent = section.title;
+
+      const list = document.createElement('dl');
+      list.className = 'receipt-fields';
+      section.fields.forEach(field => {
+        const term = document.createElement('dt');
+        term.textContent = field.label;
+        const detail = document.createElement('dd');
+        detail.textContent = field.value;
+        list.append(term, detail);
+      });
+
+      group.append(title, list);
+      body.appendChild(group);
+    });
+  }
+
+  renderDate() {
+    const date = this.element.querySelector('[data-receipt-date]');
+    if (date) {
+      date.textContent = formatDate(this.receipt.submittedAt);
+      date.setAttribute('datetime', new Date(this.receipt.submittedAt).toISOString());
+    }
+  }
+
+  handleClick(event) {
+    const downloadButton = event.target.closest('[data-receipt-download]');
+    if (downloadButton) {
+      this.download(downloadButton.dataset.receiptDownload);
+      return;
+    }
+
+    if (event.target.closest('[data-receipt-print]')) {
+      this.print();
+    }
+  }
+
+  download(format) {
+    const spec = FORMATS[format];
+    if (!spec) return;
+
+    Utils.downloadFile(`slab-lab-application-${this.receipt.reference}.${spec.extension}`, spec.type, spec.serialize(this.receipt));
+    track('receipt_download', { format });
+  }
+
+  // The print stylesheet shows only the receipt while this class is on <body>
+  print() {
+    document.body.classList.add(PRINT_CLASS);
+    track('receipt_download', { format: 'print' });
+    window.print();
+  }
+
+  handleAfterPrint() {
+    document.body.classList.remove(PRINT_CLASS);
+  }
+
+  destroy() {
+    if (!this.receipt) return;
+
+    this.element.removeEventListener('click', this.handleClick);
+    window.removeEventListener('afterprint', this.handleAfterPrint);
+    document.body.classList.remove(PRINT_CLASS);
+    this.unsubscribeLocale();
+  }
+}
+
+export default SubmissionReceipt;
@@ -0,0 +1,389 @@
+/**
+ * Team Module
+ * Team section rendered from a JSON roster, with preview/full bio toggles and
+ * an optional profile dialog
+ *
+ * The roster comes from data-team-src (a URL) or an inline
+ * <script type="application/json" data-team-roster> in the section:
+ *   { "members": [{ "id", "name", "role", "photo", "photoAlt",
+ *                   "bioShort", "bioLong", "links": [{ "label", "url" }] }] }
+ * bioLong may be a string (blank lines separate paragraphs) or an array of paragraphs.
+ * id is lowercase letters, digits and dashes; it names the card's #team-<id>
+ * deep link, so keep it stable once published. Entries without a valid id and
+ * a name are skipped. The home page reads /data/team.json, which ships with
+ * no members.
+ *
+ * With data-team-dialog on the section, "View profile" opens a modal dialog;
+ * #team-<id> deep links open it (or expand the card's bio without the dialog).
+ * The section stays hidden until the roster has at least one member.
+ */
+
+import { Utils } from './utils.js';
+import { t, onLocaleChange } from './i18n.js';
+import { log } from './logger.js';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const SAFE_URL = /^(https?:|mailto:|\/)/i;
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+function toParagraphs(text) {
+  const paragraphs = Array.isArray(text) ? text : String(text || '').split(/\n\s*\n/);
+  return paragraphs.map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+class TeamController {
+  constructor(root) {
+    this.root = root;
+    this.list = root.querySelector('[data-team-list]') || root;
+    this.useDialog = root.hasAttribute('data-team-dialog');
+    this.members = [];
+    this.dialog = null;
+    this.opener = null;
+
+    this.init();
+  }
+
+  init() {
+    this.handleClick = this.handleClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleDialogKeydown = this.handleDialogKeydown.bind(this);
+    this.root.addEventListener('click', this.handleClick);
+    window.addEventListener('hashchange', this.handleHashChange);
+
+    // Cards are rebuilt in the new language; an open dialog keeps its copy until it closes
+    this.unsubscribeLocale = onLocaleChange(() => this.render(this.members));
+
+    this.ready = this.loadRoster()
+      .then(members => {
+        this.render(members);
+        this.handleHashChange();
+      })
+      .catch(error => {
+        log.warn(error.message, { component: 'team' });
+        // Nothing to show; keep the heading from standing on its own
+        this.render([]);
+      });
+  }
+
+  async loadRoster() {
+    const inline = this.root.querySelector('script[data-team-roster]');
+    let data;
+
+    if (inline) {
+      data = JSON.parse(inline.textContent);
+    } else if (this.root.dataset.teamSrc) {
+      const response = await fetch(this.root.dataset.teamSrc, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`Failed to load team roster from ${this.root.dataset.teamSrc}: ${response.status}`);
+      }
+      data = await response.json();
+    } else {
+      return [];
+    }
+
+    const members = Array.isArray(data) ? data : (data.members || []);
+
+    return members.filter(member => {
+      const valid = member && ID_PATTERN.test(String(member.id)) && member.name;
+      if (!valid) {
+        log.warn('Skipping team member without a valid id and name', { id: member && member.id });
+      }
+      return valid;
+    });
+  }
+
+  render(members) {
+    this.members = members;
+    this.list.querySelectorAll('.team-member-container').forEach(card => card.remove());
+
+    members.forEach(member => this.list.appendChild(this.renderMember(member)));
+    this.root.hidden = members.length === 0;
+  }
+
+  renderPhoto(member, className) {
+    if (!member.photo || !SAFE_URL.test(member.photo)) return null;
+
+    const image = createElement('img', className);
+    image.src = member.photo;
+    image.alt = member.photoAlt || t('team.photo_alt', { name: member.name });
+    image.width = 180;
+    image.height = 180;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    return image;
+  }
+
+  renderLinks(member) {
+    const links = (member.links || []).filter(link => link && link.label && SAFE_URL.test(String(link.url)));
+    if (links.length === 0) return null;
+
+    const list = createElement('ul', 'team-member-links');
+    links.forEach(({ label, url }) => {
+      const item = document.createElement('li');
+      const anchor = createElement('a', null, label);
+      anchor.href = url;
+      if (/^https?:/i.test(url)) {
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+      }
+      item.appendChild(anchor);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  renderMember(member) {
+    const card = createElement('article', 'team-member-container');
+    card.id = `team-${member.id}`;
+    card.setAttribute('aria-labelledby', `team-name-${member.id}`);
+
+    const photo = this.renderPhoto(member, 'team-member-image');
+    if (photo) card.appendChild(photo);
+
+    const name = createElement('h3', 'team-member-name', member.name);
+    name.id = `team-name-${member.id}`;
+    card.appendChild(name);
+
+    if (member.role) {
+      card.appendChild(createElement('p', 'team-member-title', member.role));
+    }
+
+    const bio = createElement('div', 'team-member-bio');
+    const longBio = toParagraphs(member.bioLong);
+
+    const preview = createElement('p', 'bio-preview', member.bioShort || longBio[0] || '');
+    preview.id = `bio-preview-${member.id}`;
+    bio.appendChild(preview);
+
+    // Only offer "Read more" when there is more to read
+    if (longBio.length > 0) {
+      const full = createElement('div', 'bio-full');
+      full.id = `bio-full-${member.id}`;
+      longBio.forEach(paragraph => full.appendChild(createElement('p', null, paragraph)));
+
+      preview.appendChild(this.renderToggle(member, t('team.read_more'), false));
+      full.lastElementChild.appendChild(this.renderToggle(member, t('team.show_less'), false));
+      bio.appendChild(full);
+    }
+
+    card.appendChild(bio);
+
+    const links = this.renderLinks(member);
+    if (links) card.appendChild(links);
+
+    if (this.useDialog) {
+      const profile = createElement('button', 'team-member-profile', t('team.view_profile'));
+      profile.type = 'button';
+      profile.dataset.teamProfile = member.id;
+      profile.setAttribute('aria-haspopup', 'dialog');
+      card.appendChild(profile);
+    }
+
+    return card;
+  }
+
+  renderToggle(member, label, expanded) {
+    const button = createElement('button', 'read-more-link', label);
+    button.type = 'button';
+    button.dataset.memberId = member.id;
+    button.setAttribute('aria-controls', `bio-full-${member.id}`);
+    button.setAttribute('aria-expanded', String(expanded));
+    return button;
+  }
+
+  handleClick(event) {
+    const profile = event.target.closest('button[data-team-profile]');
+    if (profile && this.root.contains(profile)) {
+      this.openProfile(profile.dataset.teamProfile, profile);
+      return;
+    }
+
+    const target = event.target.closest('button.read-more-link');
+    if (!target || !this.root.contains(target)) return;
+
+    const memberId = target.dataset.memberId;
+    if (memberId) {
+      this.toggleBio(memberId);
+    }
+  }
+
+  toggleBio(memberName) {
+    const preview = Utils.safeGetElementById('bio-preview-' + memberName);
+    const full = Utils.safeGetElementById('bio-full-' + memberName);
+    const previewButton = preview?.querySelector('.read-more-link');
+    const fullButton = full?.querySelector('.read-more-link');
+
+    if (!preview || !full) return;
+
+    // Both buttons control the full bio, so both report whether it is showing
+    const expanded = !preview.classList.contains('hide');
+
+    preview.classList.toggle('hide', expanded);
+    full.classList.toggle('show', expanded);
+    [previewButton, fullButton].forEach(button => {
+      if (button) button.setAttribute('aria-expanded', String(expanded));
+    });
+
+    // The clicked button has just been hidden; keep focus on the visible one
+    const visibleButton = expanded ? fullButton : previewButton;
+    if (visibleButton) visibleButton.focus();
+
+    this.root.dispatchEvent(new CustomEvent('team:biotoggle', {
+      bubbles: true,
+      detail: { member: memberName, expanded }
+    }));
+  }
+
+  getMember(id) {
+    return this.members.find(member => member.id === id) || null;
+  }
+
+  /**
+   * Open the profile dialog; focus returns to opener (or the member's card) on close
+   */
+  openProfile(id, opener = null) {
+    const member = this.getMember(id);
+    if (!member) return;
+
+    if (this.dialog) {
+      this.closeProfile({ restoreFocus: false, updateHash: false });
+    }
+
+    this.opener = opener || document.querySelector(`#team-${id} [data-team-profile]`);
+    this.dialog = this.renderDialog(member);
+    document.body.appendChild(this.dialog);
+    document.body.classList.add('has-dialog');
+    document.addEventListener('keydown', this.handleDialogKeydown);
+
+    this.dialog.querySelector('.team-dialog-close').focus();
+
+    if (window.location.hash !== `#team-${id}`) {
+      history.replaceState(history.state, '', `#team-${id}`);
+    }
+  }
+
+  closeProfile({ restoreFocus = true, updateHash = true } = {}) {
+    if (!this.dialog) return;
+
+    document.removeEventListener('keydown', this.handleDialogKeydown);
+    document.body.classList.remove('has-dialog');
+    this.dialog.remove();
+    this.dialog = null;
+
+    if (updateHash && window.location.hash.startsWith('#team-')) {
+      history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    }
+
+    if (restoreFocus && this.opener) {
+      this.opener.focus();
+    }
+    this.opener = null;
+  }
+
+  renderDialog(member) {
+    const overlay = createElement('div', 'team-dialog');
+    overlay.addEventListener('click', event => {
+      if (event.target === overlay) this.closeProfile();
+    });
+
+    const panel = createElement('div', 'team-dialog-panel');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', `team-dialog-title-${member.id}`);
+
+    const close = createElement('button', 'team-dialog-close');
+    close.type = 'button';
+    close.setAttribute('aria-label', t('team.close_profile'));
+    close.textContent = '×';
+    close.addEventListener('click', () => this.closeProfile());
+    panel.appendChild(close);
+
+    const photo = this.renderPhoto(member, 'team-member-image');
+    if (photo) panel.appendChild(photo);
+
+    const title = createElement('h2', 'team-dialog-title', member.name);
+    title.id = `team-dialog-title-${member.id}`;
+    panel.appendChild(title);
+
+    if (member.role) {
+      panel.appendChild(createElement('p', 'team-member-title', member.role));
+    }
+
+    const bio = createElement('div', 'team-member-bio');
+    const paragraphs = toParagraphs(member.bioLong);
+    (paragraphs.length > 0 ? paragraphs : [member.bioShort]).filter(Boolean)
+      .forEach(paragraph => bio.appendChild(createElement('p', null, paragraph)));
+    panel.appendChild(bio);
+
+    const links = this.renderLinks(member);
+    if (links) panel.appendChild(links);
+
+    overlay.appendChild(panel);
+    return overlay;
+  }
+
+  // Escape closes; Tab and Shift+Tab cycle within the dialog
+  handleDialogKeydown(event) {
+    if (!this.dialog) return;
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.closeProfile();
+      return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = Array.from(this.dialog.querySelectorAll(FOCUSABLE));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && (document.activeElement === first || !this.dialog.contains(document.activeElement))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !this.dialog.contains(document.activeElement))) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * #team-<id> opens that member's profile (dialog mode) or expands their bio
+   */
+  handleHashChange() {
+    const match = window.location.hash.match(/^#team-([a-z0-9-]+)$/);
+    const member = match && this.getMember(match[1]);
+
+    if (!member) {
+      if (this.dialog) this.closeProfile({ updateHash: false });
+      return;
+    }
+
+    if (this.useDialog) {
+      this.openProfile(member.id);
+      return;
+    }
+
+    const full = document.getElementById(`bio-full-${member.id}`);
+    if (full && !full.classList.contains('show')) {
+      this.toggleBio(member.id);
+    }
+    Utils.smoothScrollTo(document.getElementById(`team-${member.id}`), 100);
+  }
+
+  destroy() {
+    this.closeProfile({ restoreFocus: false, updateHash: false });
+    this.root.removeEventListener('click', this.handleClick);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    this.unsubscribeLocale();
+  }
+}
+
+export default TeamController;
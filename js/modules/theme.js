@@ -0,0 +1,230 @@
+/**
+ * Theme Controller Module
+ * Theme picker over the palette registry, with persisted choice and cross-tab sync
+ *
+ * The stored value is the user's *mode*: 'system' or a registered palette id.
+ * It resolves to a data-theme of 'light' or 'dark' plus an optional data-palette.
+ * The inline pre-paint snippet in each page's <head> mirrors resolveTheme() so
+ * the first frame is correct.
+ */
+
+import { getPalette, getPalettes, registerPalettesFromJSON, PALETTE_REGISTER_EVENT } from './palettes.js';
+import { t, LOCALE_CHANGE_EVENT } from './i18n.js';
+import { log } from './logger.js';
+
+export const THEME_STORAGE_KEY = 'theme';
+export const THEME_BASE_STORAGE_KEY = 'theme-base';
+export const THEME_CHANGE_EVENT = 'theme:change';
+
+const darkQuery = () => window.matchMedia('(prefers-color-scheme: dark)');
+const contrastQuery = () => window.matchMedia('(prefers-contrast: more)');
+
+/**
+ * Resolve a mode to the { theme, palette } that should be applied
+ * 'system' follows prefers-color-scheme, and switches to the high-contrast
+ * palette when prefers-contrast: more is set.
+ */
+export function resolveTheme(mode, storedBase = null) {
+  const systemTheme = darkQuery().matches ? 'dark' : 'light';
+
+  if (mode === 'system' || !mode) {
+    return { theme: systemTheme, palette: contrastQuery().matches ? 'high-contrast' : null };
+  }
+
+  if (mode === 'light' || mode === 'dark') {
+    return { theme: mode, palette: null };
+  }
+
+  // Runtime palettes may not be registered yet in this tab; fall back to the stored base
+  const palette = getPalette(mode);
+  const base = palette ? palette.base : storedBase;
+  return { theme: base || systemTheme, palette: mode };
+}
+
+/**
+ * Currently applied theme, palette and mode, as set on <html>
+ */
+export function getTheme() {
+  const root = document.documentElement;
+  return {
+    theme: root.getAttribute('data-theme') || resolveTheme('system').theme,
+    palette: root.getAttribute('data-palette'),
+    mode: root.getAttribute('data-theme-mode') || 'system'
+  };
+}
+
+/**
+ * Subscribe to theme changes; returns an unsubscribe function
+ * The callback receives { theme, palette, mode, source } where source is 'user', 'system' or 'sync'.
+ */
+export function onThemeChange(callback) {
+  const listener = event => callback(event.detail);
+  document.addEventListener(THEME_CHANGE_EVENT, listener);
+  return () => document.removeEventListener(THEME_CHANGE_EVENT, listener);
+}
+
+class ThemeController {
+  constructor(container = document.getElementById('theme-toggle')) {
+    this.container = container;
+    this.select = container ? container.querySelector('[data-theme-picker]') : null;
+    this.mode = this.getStoredMode();
+    this.current = resolveTheme(this.mode, this.getStoredBase());
+
+    this.init();
+  }
+
+  init() {
+    this.handleChange = this.handleChange.bind(this);
+    this.handleSystemChange = this.handleSystemChange.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+    this.renderPicker = this.renderPicker.bind(this);
+    this.mediaQueries = [darkQuery(), contrastQuery()];
+
+    this.renderPicker();
+
+    // The pre-paint snippet has usually applied this already; this keeps the picker in step
+    this.applyTheme(this.mode);
+
+    if (this.select) {
+      this.select.addEventListener('change', this.handleChange);
+    }
+
+    // Follow the OS while in system mode, other tabs always, and new palettes and languages as they arrive
+    this.mediaQueries.forEach(query => query.addEventListener('change', this.handleSystemChange));
+    window.addEventListener('storage', this.handleStorage);
+    document.addEventListener(PALETTE_REGISTER_EVENT, this.renderPicker);
+    document.addEventListener(LOCALE_CHANGE_EVENT, this.renderPicker);
+
+    // Optional extra palettes, e.g. data-palettes-src="/palettes.json"
+    if (this.container && this.container.dataset.palettesSrc) {
+      registerPalettesFromJSON(this.container.dataset.palettesSrc)
+        .then(() => this.applyTheme(this.mode, { source: 'system' }))
+        .catch(error => log.warn(error.message, { component: 'theme-toggle' }));
+    }
+  }
+
+  getStoredMode() {
+    try {
+      return localStorage.getItem(THEME_STORAGE_KEY) || 'system';
+    } catch (e) {
+      return 'system';
+    }
+  }
+
+  getStoredBase() {
+    try {
+      return localStorage.getItem(THEME_BASE_STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  storeMode(mode) {
+    try {
+      if (mode === 'system') {
+        localStorage.removeItem(THEME_STORAGE_KEY);
+        localStorage.removeItem(THEME_BASE_STORAGE_KEY);
+        return;
+      }
+
+      // The pre-paint snippet can't see runtime palettes, so remember their base too
+      const palette = getPalette(mode);
+      localStorage.setItem(THEME_STORAGE_KEY, mode);
+      if (palette && palette.base) {
+        localStorage.setItem(THEME_BASE_STORAGE_KEY, palette.base);
+      } else {
+        localStorage.removeItem(THEME_BASE_STORAGE_KEY);
+      }
+    } catch (e) {
+      // Storage not available, continue without persistence
+    }
+  }
+
+  renderPicker() {
+    if (!this.select) return;
+
+    const options = [{ id: 'system', label: 'System' }, ...getPalettes()];
+    this.select.textContent = '';
+
+    // Runtime palettes without a catalog entry keep the label they registered with
+    options.forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = t(`theme.palettes.${id}`, {}, label);
+      this.select.appendChild(option);
+    });
+
+    this.select.value = this.mode;
+  }
+
+  handleChange() {
+    this.setMode(this.select.value);
+  }
+
+  handleSystemChange() {
+    this.applyTheme(this.mode, { source: 'system' });
+  }
+
+  handleStorage(event) {
+    if (event.key !== THEME_STORAGE_KEY && event.key !== null) return;
+
+    // key === null means another tab cleared storage entirely
+    this.applyTheme(event.newValue || 'system', { source: 'sync' });
+  }
+
+  /**
+   * Switch mode as a user choice: persists and notifies other tabs via storage
+   */
+  setMode(mode) {
+    if (mode !== 'system' && !getPalette(mode)) return;
+
+    this.storeMode(mode);
+    this.applyTheme(mode, { source: 'user' });
+  }
+
+  applyTheme(mode, { source = 'user' } = {}) {
+    const previous = { ...this.current, mode: this.mode };
+    const root = document.documentElement;
+
+    this.mode = mode;
+    this.current = resolveTheme(mode, this.getStoredBase());
+
+    root.setAttribute('data-theme', this.current.theme);
+    root.setAttribute('data-theme-mode', mode);
+    if (this.current.palette) {
+      root.setAttribute('data-palette', this.current.palette);
+    } else {
+      root.removeAttribute('data-palette');
+    }
+
+    if (this.select) {
+      this.select.value = mode;
+    }
+
+    if (previous.theme === this.current.theme && previous.palette === this.current.palette && previous.mode === mode) return;
+
+    document.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, {
+      detail: { ...this.current, mode, source }
+    }));
+  }
+
+  /**
+   * Snapshot for the diagnostics overlay
+   */
+  getDebugState() {
+    return { mode: this.mode, theme: this.current.theme, palette: this.current.palette || 'none' };
+  }
+
+  destroy() {
+    if (this.select) {
+      this.select.removeEventListener('change', this.handleChange);
+    }
+
+    this.mediaQueries.forEach(query => query.removeEventListener('change', this.handleSystemChange));
+    window.removeEventListener('storage', this.handleStorage);
+    document.removeEventListener(PALETTE_REGISTER_EVENT, this.renderPicker);
+    document.removeEventListener(LOCALE_CHANGE_EVENT, this.renderPicker);
+  }
+}
+
+export default ThemeController;
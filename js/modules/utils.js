@@ -3,6 +3,8 @@
  * Common functionality shared across the application
  */
 
+import { log } from './logger.js';
+
 export const Utils = {
   
   /**
@@ -30,14 +32,18 @@ export const Utils = {
   
   /**
    * Debounce function execution
+   * The returned function's cancel() drops a call that is still waiting.
    */
   debounce(func, delay) {
     let timeoutId;
     
-    return function (...args) {
+    const debounced = function (...args) {
       clearTimeout(timeoutId);
       timeoutId = setTimeout(() => func.apply(this, args), delay);
     };
+    debounced.cancel = () => clearTimeout(timeoutId);
+    
+    return debounced;
   },
   
   /**
@@ -74,11 +80,13 @@ export const Utils = {
   
   /**
    * Get element by ID safely
+   * A miss means markup and script have drifted apart; it is logged for the
+   * diagnostics overlay and the log endpoint
    */
   safeGetElementById(id) {
     const element = document.getElementById(id);
     if (!element) {
-      console.warn(`Element with ID "${id}" not found`);
+      log.warn(`Element with ID "${id}" not found`, { kind: 'missing-element', id });
     }
     return element;
   },
@@ -89,7 +97,7 @@ export const Utils = {
   safeQuerySelectorAll(selector) {
     const elements = document.querySelectorAll(selector);
     if (elements.length === 0) {
-      console.warn(`No elements found for selector "${selector}"`);
+      log.warn(`No elements found for selector "${selector}"`, { kind: 'missing-element', selector });
     }
     return elements;
   },
@@ -99,14 +107,14 @@ export const Utils = {
    */
   safeAddEventListener(element, event, handler, options = {}) {
     if (!element) {
-      console.warn('Cannot add event listener: element is null');
+      log.warn('Cannot add event listener: element is null', { kind: 'missing-element', event });
       return;
     }
     
     try {
       element.addEventListener(event, handler, options);
     } catch (error) {
-      console.error('Error adding event listener:', error);
+      log.error('Error adding event listener', { event, error });
     }
   },
   
@@ -117,13 +125,31 @@ export const Utils = {
     return window.innerWidth <= 768;
   },
   
+  /**
+   * Offer generated contents as a file download
+   */
+  downloadFile(filename, type, contents) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+  
   /**
    * Format form data
+   * Text entries only; files have no plain-object form and are sent separately
    */
   formatFormData(formData) {
     const data = {};
     for (const [key, value] of formData.entries()) {
-      data[key] = value;
+      if (typeof value === 'string') {
+        data[key] = value;
+      }
     }
     return data;
   }
@@ -0,0 +1,274 @@
+/**
+ * Validation Rules
+ * Declarative field rules shared by the contact form and Node tests
+ *
+ * Plain ES module with no DOM dependencies outside rulesForElement(), so a
+ * Node test can import() it directly and exercise the same definitions.
+ * Messages come from the validation.* keys of the locale catalogs. Nothing
+ * loads a catalog in Node, so messages there are the keys themselves
+ * ("validation.min_words") until a test calls registerCatalog(); see
+ * test/validation-rules.test.mjs (npm test).
+ */
+
+import { t } from './i18n.js';
+
+const LINKEDIN_PATTERN = /^https:\/\/([a-z]{2,3}\.)?linkedin\.com\/(in|company|pub)\/[^\s/?#]+\/?$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Count words in a block of text
+ */
+export function countWords(value) {
+  const trimmed = String(value).trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Normalize a phone number to +<digits> (E.164-like) or bare digits
+ */
+export function normalizePhone(value) {
+  const trimmed = String(value).trim();
+  const digits = trimmed.replace(/\D/g, '');
+  return trimmed.startsWith('+') || trimmed.startsWith('00')
+    ? '+' + digits.replace(/^00/, '')
+    : digits;
+}
+
+/**
+ * Normalize a LinkedIn profile URL to https://...linkedin.com/...
+ */
+export function normalizeLinkedIn(value) {
+  const trimmed = String(value).trim().replace(/^http:\/\//i, 'https://');
+  return /^https:\/\//i.test(trimmed) ? trimmed : 'https://' + trimmed;
+}
+
+/**
+ * Rule registry
+ * Each rule has test(value, param, values) and message(param).
+ * Rules other than "required" and "selected" are skipped for empty values.
+ * normalize(value) is applied before testing and returned to the caller.
+ */
+export const rules = {
+  required: {
+    validatesEmpty: true,
+    test: value => String(value).trim() !== '',
+    message: () => t('validation.required')
+  },
+
+  selected: {
+    validatesEmpty: true,
+    test: value => String(value) !== '',
+    message: () => t('validation.selected')
+  },
+
+  email: {
+    test: value => EMAIL_PATTERN.test(value),
+    message: () => t('validation.email')
+  },
+
+  minLength: {
+    test: (value, min) => String(value).trim().length >= min,
+    message: min => t('validation.min_length', { min })
+  },
+
+  maxLength: {
+    test: (value, max) => String(value).length <= max,
+    message: max => t('validation.max_length', { max })
+  },
+
+  minWords: {
+    test: (value, min) => countWords(value) >= min,
+    message: min => t('validation.min_words', { min })
+  },
+
+  maxWords: {
+    test: (value, max) => countWords(value) <= max,
+    message: max => t('validation.max_words', { max })
+  },
+
+  linkedin: {
+    normalize: normalizeLinkedIn,
+    test: value => LINKEDIN_PATTERN.test(value),
+    message: () => t('validation.linkedin')
+  },
+
+  phone: {
+    normalize: normalizePhone,
+    test: value => {
+      const digits = value.replace(/\D/g, '');
+      return digits.length >= 7 && digits.length <= 15;
+    },
+    message: () => t('validation.phone')
+  },
+
+  // One http(s) link per line; blank lines are ignored
+  urlList: {
+    test: value => String(value).split(/\r?\n/).map(line => line.trim()).filter(Boolean).every(line => {
+      try {
+        return ['http:', 'https:'].includes(new URL(line).protocol);
+      } catch (e) {
+        return false;
+      }
+    }),
+    message: () => t('validation.url_list')
+  },
+
+  // Cross-field: value must not repeat another field's answer
+  differsFrom: {
+    test: (value, otherField, values) =>
+      String(value).trim().toLowerCase() !== String(values[otherField] || '').trim().toLowerCase(),
+    message: () => t('validation.differs_from')
+  },
+
+  // Cross-field: param is a function (value, values) => boolean
+  custom: {
+    test: (value, test, values) => test(value, values),
+    message: () => t('validation.invalid')
+  }
+};
+
+/**
+ * Schema for the partnership application, keyed by field name
+ */
+export const contactFormSchema = {
+  name: [{ rule: 'minLength', param: 2 }, { rule: 'maxLength', param: 120 }],
+  linkedin: [{ rule: 'linkedin' }],
+  phone: [{ rule: 'phone' }],
+  project_name: [{ rule: 'maxLength', param: 120 }],
+  problem: [{ rule: 'minWords', param: 15 }, { rule: 'maxWords', param: 500 }],
+  solution: [
+    { rule: 'minWords', param: 15 },
+    { rule: 'maxWords', param: 500 },
+    { rule: 'differsFrom', param: 'problem', message: () => t('validation.solution_differs') }
+  ],
+  target_market: [{ rule: 'minWords', param: 10 }, { rule: 'maxWords', param: 500 }],
+  business_model: [{ rule: 'minWords', param: 10 }, { rule: 'maxWords', param: 500 }],
+  competitive_advantage: [{ rule: 'minWords', param: 10 }, { rule: 'maxWords', param: 500 }],
+  traction: [{ rule: 'maxWords', param: 500 }],
+  team_skills: [{ rule: 'maxWords', param: 500 }],
+  funding_plan: [{ rule: 'maxWords', param: 300 }],
+  help_needed: [{ rule: 'minWords', param: 5 }, { rule: 'maxWords', param: 500 }],
+  commitment_details: [{ rule: 'minWords', param: 5 }, { rule: 'maxWords', param: 300 }],
+  additional_info: [{ rule: 'maxWords', param: 1000 }],
+  demo_links: [{ rule: 'urlList' }, { rule: 'maxLength', param: 2000 }]
+};
+
+/**
+ * Register a rule; overrides any existing rule with the same name
+ */
+export function addRule(name, definition) {
+  rules[name] = {
+    message: () => t('validation.invalid'),
+    ...definition
+  };
+}
+
+/**
+ * Validate one value against a list of { rule, param, message } entries.
+ * message overrides the rule's own and may be a string or a function of param.
+ * Returns { valid, errors, value } where value is the normalized input.
+ */
+export function validate(value, ruleList = [], values = {}) {
+  let normalized = value == null ? '' : String(value);
+  const errors = [];
+  const isEmpty = normalized.trim() === '';
+
+  ruleList.forEach(entry => {
+    const definition = rules[entry.rule];
+    if (!definition) {
+      throw new Error(`Unknown validation rule "${entry.rule}"`);
+    }
+
+    if (isEmpty && !definition.validatesEmpty) return;
+
+    if (definition.normalize) {
+      normalized = definition.normalize(normalized);
+    }
+
+    if (!definition.test(normalized, entry.param, values)) {
+      const message = entry.message || definition.message;
+      errors.push(typeof message === 'function' ? message(entry.param) : message);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, value: normalized };
+}
+
+/**
+ * Validate a plain { name: value } object against a schema.
+ * Returns a map of field name to error messages for failing fields only.
+ */
+export function validateAll(values, schema) {
+  const failures = {};
+
+  Object.keys(schema).forEach(name => {
+    const result = validate(values[name], schema[name], values);
+    if (!result.valid) {
+      failures[name] = result.errors;
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Parse a data-rules attribute such as "minWords:15 maxLength:2000 linkedin"
+ */
+export function parseRuleAttribute(attribute) {
+  return String(attribute || '').trim().split(/\s+/).filter(Boolean).map(token => {
+    const [rule, param] = token.split(':');
+    return param === undefined
+      ? { rule }
+      : { rule, param: isNaN(param) ? param : Number(param) };
+  });
+}
+
+/**
+ * Build the rule list for a form control from its markup and an optional schema.
+ * Per-rule messages can be overridden with data-message-<rule>, e.g. data-message-min-words.
+ */
+export function rulesForElement(element, schema = {}) {
+  const list = [];
+  const isSelect = element.tagName === 'SELECT';
+
+  if (element.hasAttribute('required')) {
+    list.push({ rule: isSelect ? 'selected' : 'required' });
+  }
+
+  if (element.type === 'email') {
+    list.push({ rule: 'email' });
+  }
+
+  if (element.hasAttribute('minlength')) {
+    list.push({ rule: 'minLength', param: Number(element.getAttribute('minlength')) });
+  }
+
+  if (element.hasAttribute('maxlength')) {
+    list.push({ rule: 'maxLength', param: Number(element.getAttribute('maxlength')) });
+  }
+
+  list.push(...parseRuleAttribute(element.getAttribute('data-rules')));
+  list.push(...(schema[element.name] || []));
+
+  return list.map(entry => {
+    const attribute = 'data-message-' + entry.rule.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+    return element.hasAttribute(attribute)
+      ? { ...entry, message: element.getAttribute(attribute) }
+      : entry;
+  });
+}
+
+export const ValidationRules = {
+  rules,
+  contactFormSchema,
+  addRule,
+  validate,
+  validateAll,
+  parseRuleAttribute,
+  rulesForElement,
+  countWords,
+  normalizePhone,
+  normalizeLinkedIn
+};
+
+export default ValidationRules;
@@ -0,0 +1,100 @@
+/**
+ * Service Worker
+ * Offline support: the built site is precached and served when the network can't be
+ *
+ * The build injects the precache manifest below: the version (a hash of
+ * dist/), every file to precache and the file each page URL is served from.
+ * Run from an unbuilt checkout the manifest is empty and requests pass through.
+ *
+ *   pages           network first, then the cached copy, then /offline
+ *   other GETs      stale-while-revalidate (same origin only)
+ *
+ * A new version installs alongside the old one and waits; the page's update
+ * prompt posts SKIP_WAITING when the visitor chooses to reload.
+ */
+
+const MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', files: [], pages: {} };
+
+const CACHE_PREFIX = 'slablab-';
+const PRECACHE = `${CACHE_PREFIX}precache-${MANIFEST.version}`;
+const RUNTIME = `${CACHE_PREFIX}runtime-${MANIFEST.version}`;
+const OFFLINE_PAGE = '/offline';
+
+self.addEventListener('install', event => {
+  // Bypass the HTTP cache so a new version never precaches the previous deploy's files
+  const requests = MANIFEST.files.map(url => new Request(url, { cache: 'reload' }));
+  event.waitUntil(caches.open(PRECACHE).then(cache => cache.addAll(requests)));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // The router fetches pages too, so Accept counts as much as navigation mode
+  if (request.mode === 'navigate' || (request.headers.get('Accept') || '').includes('text/html')) {
+    event.respondWith(networkFirstPage(request, url));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+/**
+ * Precached file for a page URL: /contact/ and /contact/index.html are /contact
+ */
+function pageFile(url) {
+  const path = url.pathname.replace(/\.html$/, '').replace(/\/index$/, '').replace(/\/$/, '') || '/';
+  return MANIFEST.pages[path];
+}
+
+async function networkFirstPage(request, url) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const file = pageFile(url);
+    const cached = file && await caches.match(file, { cacheName: PRECACHE });
+    const offline = MANIFEST.pages[OFFLINE_PAGE] && await caches.match(MANIFEST.pages[OFFLINE_PAGE], { cacheName: PRECACHE });
+    return cached || offline || Response.error();
+  }
+}
+
+/**
+ * Answer from cache straight away and refresh the runtime copy behind it
+ * The runtime cache is checked first: it holds anything fetched since install.
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const runtime = await caches.open(RUNTIME);
+  const cached = await runtime.match(request) || await caches.match(request, { cacheName: PRECACHE });
+
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      event.waitUntil(runtime.put(request, response.clone()));
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network;
+}
@@ -0,0 +1,71 @@
+/**
+ * Template renderer used by the build
+ * Run with npm test (node --test).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TemplateRenderer, { TemplateError } from '../build/template.mjs';
+import { HELPERS } from '../build/build.mjs';
+
+const render = (source, data = {}, options = {}) => new TemplateRenderer(options).render(source, data);
+
+test('double braces escape and triple braces do not', () => {
+  const data = { title: '<b>"Tom" & \'Jerry\'</b>' };
+
+  assert.equal(render('{{title}}', data), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+  assert.equal(render('{{{title}}}', data), '<b>"Tom" & \'Jerry\'</b>');
+});
+
+test('missing keys, null and false render nothing while 0 renders', () => {
+  assert.equal(render('[{{missing}}|{{missing.deeper}}|{{none}}|{{no}}|{{zero}}]', { none: null, no: false, zero: 0 }), '[||||0]');
+});
+
+test('sections nest and inner blocks see outer values', () => {
+  const data = {
+    site: 'Slab Lab',
+    sections: [
+      { title: 'FAQ', items: ['One', 'Two'] },
+      { title: 'Empty', items: [] }
+    ]
+  };
+  const source = '{{#each sections}}{{title}}:{{#each items}}{{@index}}={{this}}@{{site}}{{#unless @last}},{{/unless}}{{else}}none{{/each}};{{/each}}';
+
+  assert.equal(render(source, data), 'FAQ:0=One@Slab Lab,1=Two@Slab Lab;Empty:none;');
+  assert.equal(render('{{#if list}}yes{{else}}no{{/if}}', { list: [] }), 'no');
+  assert.equal(render('{{#with author}}{{name}} of {{../team}}{{/with}}', { team: 'Lab', author: { name: 'Ada' } }), 'Ada of Lab');
+});
+
+test('standalone block tags leave no blank lines', () => {
+  assert.equal(render('<ul>\n  {{#each items}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n', { items: ['a', 'b'] }), '<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>\n');
+});
+
+test('partials render with the current or a given context, indented to their tag', () => {
+  const partials = { card: '<h3>{{title}}</h3>\n<p>{{body}}</p>\n' };
+
+  assert.equal(render('{{> card}}', { title: 'A', body: 'B' }, { partials }), '<h3>A</h3>\n<p>B</p>\n');
+  assert.equal(render('<div>\n    {{> card item}}\n</div>\n', { item: { title: 'T', body: 'x < y' } }, { partials }), '<div>\n    <h3>T</h3>\n    <p>x &lt; y</p>\n</div>\n');
+  assert.throws(() => render('{{> nope}}'), TemplateError);
+});
+
+test('json escapes < so a value cannot close its <script>', () => {
+  const output = render('{{{json data}}}', { data: { note: '</script><script>alert(1)</script>' } });
+
+  assert.ok(!output.includes('</script>'));
+  assert.deepEqual(JSON.parse(output), { note: '</script><script>alert(1)</script>' });
+});
+
+test('join lists values, optionally by property', () => {
+  const data = { locales: [{ code: 'en' }, { code: 'es' }], tags: ['a', 'b'] };
+
+  assert.equal(render('{{join locales "code"}}', data, { helpers: HELPERS }), 'en es');
+  assert.equal(render('{{join tags}}', data, { helpers: HELPERS }), 'a b');
+  assert.equal(render('[{{join missing "code"}}]', data, { helpers: HELPERS }), '[]');
+});
+
+test('malformed templates name the problem', () => {
+  assert.throws(() => render('{{#if a}}open'), /Unclosed \{\{#if\}\}/);
+  assert.throws(() => render('{{#if a}}x{{/each}}'), /Unexpected \{\{\/each\}\}/);
+  assert.throws(() => render('{{shout name}}', { name: 'a' }), /Unknown helper "shout"/);
+});
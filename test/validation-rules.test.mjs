@@ -0,0 +1,124 @@
+/**
+ * Validation rules, exercised in Node without a DOM
+ * Run with npm test (node --test).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { registerCatalog } from '../js/modules/i18n.js';
+import {
+  validate,
+  validateAll,
+  countWords,
+  normalizePhone,
+  normalizeLinkedIn,
+  parseRuleAttribute,
+  contactFormSchema
+} from '../js/modules/validation-rules.js';
+
+const english = JSON.parse(readFileSync(new URL('../locales/en.json', import.meta.url), 'utf8'));
+
+const words = count => Array.from({ length: count }, (_, index) => `word${index}`).join(' ');
+
+// Catalogs are module state in i18n.js, so every test that reads messages sets its own
+test('messages are their validation.* keys without a catalog', () => {
+  registerCatalog('en', {});
+
+  assert.deepEqual(validate('', [{ rule: 'required' }]).errors, ['validation.required']);
+  assert.deepEqual(validate('a', [{ rule: 'minLength', param: 2 }]).errors, ['validation.min_length']);
+});
+
+test('messages come from the English catalog once registered', () => {
+  registerCatalog('en', english);
+
+  assert.deepEqual(validate('a', [{ rule: 'minLength', param: 2 }]).errors, ['Please enter at least 2 characters']);
+  assert.deepEqual(validate(words(3), [{ rule: 'minWords', param: 5 }]).errors, ['Please write at least 5 words']);
+});
+
+test('length rules trim for the minimum and count raw characters for the maximum', () => {
+  assert.equal(validate('  a  ', [{ rule: 'minLength', param: 2 }]).valid, false);
+  assert.equal(validate('ab', [{ rule: 'minLength', param: 2 }]).valid, true);
+  assert.equal(validate('abc', [{ rule: 'maxLength', param: 3 }]).valid, true);
+  assert.equal(validate('abcd', [{ rule: 'maxLength', param: 3 }]).valid, false);
+});
+
+test('word counts ignore extra whitespace', () => {
+  assert.equal(countWords(''), 0);
+  assert.equal(countWords('   '), 0);
+  assert.equal(countWords(' one\ttwo\n\nthree  '), 3);
+
+  assert.equal(validate(words(15), contactFormSchema.problem).valid, true);
+  assert.equal(validate(words(14), contactFormSchema.problem).valid, false);
+  assert.equal(validate(words(501), contactFormSchema.problem).valid, false);
+});
+
+test('rules other than required and selected skip empty values', () => {
+  assert.equal(validate('', contactFormSchema.problem).valid, true);
+  assert.equal(validate('   ', [{ rule: 'linkedin' }]).valid, true);
+});
+
+test('LinkedIn URLs are normalized to https and checked for a profile path', () => {
+  assert.equal(normalizeLinkedIn('linkedin.com/in/ada'), 'https://linkedin.com/in/ada');
+  assert.equal(normalizeLinkedIn('http://www.linkedin.com/in/ada'), 'https://www.linkedin.com/in/ada');
+
+  const result = validate('www.linkedin.com/in/ada-lovelace/', [{ rule: 'linkedin' }]);
+  assert.equal(result.valid, true);
+  assert.equal(result.value, 'https://www.linkedin.com/in/ada-lovelace/');
+
+  assert.equal(validate('https://uk.linkedin.com/company/slab-lab', [{ rule: 'linkedin' }]).valid, true);
+  assert.equal(validate('https://linkedin.com/feed', [{ rule: 'linkedin' }]).valid, false);
+  assert.equal(validate('https://example.com/in/ada', [{ rule: 'linkedin' }]).valid, false);
+});
+
+test('phone numbers are normalized to +digits or bare digits', () => {
+  assert.equal(normalizePhone('+1 (555) 123-4567'), '+15551234567');
+  assert.equal(normalizePhone('0044 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhone('555.123.4567'), '5551234567');
+
+  const result = validate(' +34 612 34 56 78 ', [{ rule: 'phone' }]);
+  assert.equal(result.valid, true);
+  assert.equal(result.value, '+34612345678');
+
+  assert.equal(validate('12345', [{ rule: 'phone' }]).valid, false);
+  assert.equal(validate('+1234567890123456', [{ rule: 'phone' }]).valid, false);
+});
+
+test('an unchosen select fails "selected" while any option passes', () => {
+  registerCatalog('en', english);
+
+  assert.deepEqual(validate('', [{ rule: 'selected' }]).errors, ['Please select an option']);
+  assert.equal(validate(null, [{ rule: 'selected' }]).valid, false);
+  assert.equal(validate('MVP completed', [{ rule: 'selected' }]).valid, true);
+});
+
+test('the solution must not repeat the problem', () => {
+  registerCatalog('en', english);
+
+  const problem = words(20);
+
+  const same = validate(` ${problem.toUpperCase()} `, contactFormSchema.solution, { problem });
+  assert.equal(same.valid, false);
+  assert.deepEqual(same.errors, ['Describe how you solve the problem, not the problem itself']);
+
+  assert.equal(validate(words(16), contactFormSchema.solution, { problem }).valid, true);
+  assert.deepEqual(validateAll({ problem, solution: problem }, { solution: contactFormSchema.solution }), {
+    solution: ['Describe how you solve the problem, not the problem itself']
+  });
+});
+
+test('custom rules see every value', () => {
+  const ruleList = [{ rule: 'custom', param: (value, values) => value !== values.email }];
+  assert.equal(validate('a@b.co', ruleList, { email: 'a@b.co' }).valid, false);
+  assert.equal(validate('c@d.co', ruleList, { email: 'a@b.co' }).valid, true);
+});
+
+test('data-rules attributes parse into rule lists', () => {
+  assert.deepEqual(parseRuleAttribute('minWords:15 maxLength:2000 linkedin'), [
+    { rule: 'minWords', param: 15 },
+    { rule: 'maxLength', param: 2000 },
+    { rule: 'linkedin' }
+  ]);
+  assert.throws(() => validate('x', [{ rule: 'nope' }]), /Unknown validation rule "nope"/);
+});